@@ -8,14 +8,18 @@ import https from 'https';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { pipeline } from 'stream';
 
-import { Telegraf } from 'telegraf';
-import { randomUUID } from 'crypto';
+import { Telegraf, Context, Telegram } from 'telegraf';
+import { randomUUID, createHash, createHmac, timingSafeEqual } from 'crypto';
 import OpenAI from 'openai';
 import FormData from 'form-data';
+import YAML from 'yaml';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
+// Imported by the test suite: build everything, but don't launch the bot, servers or timers
+const IS_MAIN = !!process.argv[1] && path.resolve(process.argv[1]) === __filename;
 
 // =====================
 // ENV
@@ -25,12 +29,21 @@ const VF_API_KEY = process.env.VF_API_KEY;
 const VF_PROJECT_ID = process.env.VF_PROJECT_ID;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 
+const VF_RUNTIME_URL = (process.env.VF_RUNTIME_URL || 'https://general-runtime.voiceflow.com').replace(/\/+$/, '');
 const VF_VERSION_ID = process.env.VF_VERSION_ID || '';
 const VF_USE_VERSION_HEADER = /^true$/i.test(process.env.VF_USE_VERSION_HEADER || '');
 
 const VF_COMPLETION_EVENTS = /^true$/i.test(process.env.VF_COMPLETION_EVENTS || 'false');
 const VF_COMPLETION_TO_TELEGRAM = /^true$/i.test(process.env.VF_COMPLETION_TO_TELEGRAM || 'false');
 
+// Streaming turns: give up on a silent or overlong stream (waiting for response headers included). FALLBACK
+// retries without streaming when the stream couldn't even connect; REPLAY_EMPTY also resends a turn whose accepted stream stayed empty
+// (off by default: Voiceflow may have run that turn already, and replaying it advances the dialog twice).
+const VF_STREAM_IDLE_TIMEOUT_MS = parseInt(process.env.VF_STREAM_IDLE_TIMEOUT_MS || '20000', 10);
+const VF_STREAM_TIMEOUT_MS = parseInt(process.env.VF_STREAM_TIMEOUT_MS || '90000', 10);
+const VF_STREAM_FALLBACK = !/^false$/i.test(process.env.VF_STREAM_FALLBACK || 'true');
+const VF_STREAM_REPLAY_EMPTY = /^true$/i.test(process.env.VF_STREAM_REPLAY_EMPTY || 'false');
+
 const MEDIA_FORCE_UPLOAD = process.env.MEDIA_FORCE_UPLOAD ? /^true$/i.test(process.env.MEDIA_FORCE_UPLOAD) : true;
 const DEBUG_MEDIA = /^true$/i.test(process.env.DEBUG_MEDIA || '');
 const DEBUG_BUTTONS = /^true$/i.test(process.env.DEBUG_BUTTONS || '');
@@ -47,7 +60,97 @@ const MEDIA_CACHE_MAX_ENTRIES = parseInt(process.env.MEDIA_CACHE_MAX_ENTRIES ||
 const CALENDLY_MINI_APP_URL = process.env.CALENDLY_MINI_APP_URL || ''; // Link to your hosted calendly.html
 const MARKETPLACE_MINI_APP_URL = process.env.MARKETPLACE_MINI_APP_URL || ''; // Link to your hosted marketplace.html
 const RESERVATIONS_MINI_APP_URL = process.env.RESERVATIONS_MINI_APP_URL || ''; // Link to your hosted reservations.html
+const MINI_APPS_CONFIG = process.env.MINI_APPS_CONFIG || path.join(__dirname, 'mini-apps.json'); // .json, .yaml or .yml
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data'); // Reservations, orders, bookings (JSON files)
+const DINING_VENUES_CONFIG = process.env.DINING_VENUES_CONFIG || path.join(__dirname, 'dining-venues.json');
+// Marketplace mini app: catalog file, checkout options and the staff chat that receives orders
+const MARKETPLACE_CATALOG_CONFIG = process.env.MARKETPLACE_CATALOG_CONFIG || path.join(__dirname, 'marketplace-catalog.json');
+const MARKETPLACE_ROOM_CHARGE = !/^false$/i.test(process.env.MARKETPLACE_ROOM_CHARGE || 'true');
+const MARKETPLACE_PAYMENT_TTL_MIN = parseInt(process.env.MARKETPLACE_PAYMENT_TTL_MIN || '30', 10);
+const MARKETPLACE_ORDERS_CHAT_ID = process.env.MARKETPLACE_ORDERS_CHAT_ID || '';
+const PAYMENTS_PROVIDER_TOKEN = process.env.PAYMENTS_PROVIDER_TOKEN || ''; // from @BotFather → Payments
+const SPA_SERVICES_CONFIG = process.env.SPA_SERVICES_CONFIG || path.join(__dirname, 'spa-services.json'); // Services, therapists, rooms
+// Scheduler: reminders before bookings (minutes, comma-separated), rating prompt after them (0 disables)
+const SCHEDULER_ENABLED = !/^false$/i.test(process.env.SCHEDULER_ENABLED || 'true');
+const SCHEDULER_TICK_SECONDS = parseInt(process.env.SCHEDULER_TICK_SECONDS || '30', 10);
+const REMINDER_LEAD_MINUTES = (process.env.REMINDER_LEAD_MINUTES || '120')
+  .split(',')
+  .map((v) => parseInt(v, 10))
+  .filter((v) => v > 0);
+const FOLLOWUP_DELAY_MINUTES = parseInt(process.env.FOLLOWUP_DELAY_MINUTES || '120', 10);
+const CALENDLY_API_TOKEN = process.env.CALENDLY_API_TOKEN || ''; // Personal access token: event details for confirmations/.ics
+const BOOKING_RULES_CONFIG = process.env.BOOKING_RULES_CONFIG || path.join(__dirname, 'booking-rules.json'); // .json, .yaml or .yml
 const DEBUG_STT = /^true$/i.test(process.env.DEBUG_STT || '');
+const VF_WEB_APP_DATA_MODE = (process.env.VF_WEB_APP_DATA_MODE || 'event').toLowerCase(); // 'event' | 'action'
+
+// HTTP API for the mini apps (disabled when no port is configured)
+const HTTP_PORT = parseInt(process.env.HTTP_PORT || process.env.PORT || '0', 10);
+const HTTP_CORS_ORIGIN = process.env.HTTP_CORS_ORIGIN || '*';
+const INIT_DATA_MAX_AGE_SEC = parseInt(process.env.INIT_DATA_MAX_AGE_SEC || '86400', 10);
+
+// Update delivery: 'polling' (default) or 'webhook' (served by the HTTP API server)
+const BOT_MODE = (process.env.BOT_MODE || 'polling').toLowerCase();
+const WEBHOOK_URL = (process.env.WEBHOOK_URL || '').replace(/\/+$/, ''); // public base URL, e.g. https://bot.example.com
+const WEBHOOK_PATH = process.env.WEBHOOK_PATH || '/telegram/webhook';
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET || '';
+const WEBHOOK_AWAIT_UPDATES = /^true$/i.test(process.env.WEBHOOK_AWAIT_UPDATES || 'false'); // true on serverless hosts
+const HTTP_SERVE_STATIC = process.env.HTTP_SERVE_STATIC ? /^true$/i.test(process.env.HTTP_SERVE_STATIC) : true;
+// Public base URL of this server (used for links handed to Voiceflow); defaults to the webhook host
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || WEBHOOK_URL).replace(/\/+$/, '');
+const FILE_LINK_TTL_SECONDS = parseInt(process.env.FILE_LINK_TTL_SECONDS || '86400', 10); // Signed /api/file links expire
+
+// Photos/documents from users
+const VF_ATTACHMENT_MODE = (process.env.VF_ATTACHMENT_MODE || 'text').toLowerCase(); // 'text' | 'action'
+const VISION_DESCRIBE = /^true$/i.test(process.env.VISION_DESCRIBE || 'false');
+const VISION_MODEL = process.env.VISION_MODEL || 'gpt-4o-mini';
+const DEBUG_ATTACHMENTS = /^true$/i.test(process.env.DEBUG_ATTACHMENTS || '');
+
+// Text-to-speech replies
+const TTS_MODE = (process.env.TTS_MODE || 'off').toLowerCase(); // default per user: 'off' | 'voice' (answer voice with voice) | 'always'
+const TTS_PROVIDER = (process.env.TTS_PROVIDER || 'openai').toLowerCase(); // 'openai' | 'http'
+const TTS_VOICE = process.env.TTS_VOICE || 'alloy';
+const TTS_MODEL = process.env.TTS_MODEL || 'tts-1';
+const TTS_HTTP_URL = process.env.TTS_HTTP_URL || ''; // for TTS_PROVIDER=http: POST { text, voice } → OGG/Opus bytes
+const TTS_MAX_CHARS = parseInt(process.env.TTS_MAX_CHARS || '800', 10);
+const DEBUG_TTS = /^true$/i.test(process.env.DEBUG_TTS || '');
+
+// Operators allowed to run admin commands (comma-separated Telegram user ids)
+const ADMIN_IDS = new Set(
+  (process.env.ADMIN_IDS || '')
+    .split(',')
+    .map((v) => v.trim())
+    .filter(Boolean)
+);
+
+// Per-conversation turn queue: what happens to messages that arrive while a Voiceflow turn is running
+const TURN_POLICY = (process.env.TURN_POLICY || 'queue').toLowerCase(); // 'queue' | 'coalesce' | 'drop'
+const TURN_QUEUE_MAX = parseInt(process.env.TURN_QUEUE_MAX || '5', 10);
+
+// Knowledge base answers: list the sources Voiceflow cited (0 disables)
+const VF_KB_CITATIONS = parseInt(process.env.VF_KB_CITATIONS || '3', 10);
+
+// Groups: 'mention' answers only when mentioned, replied to or commanded; 'off' ignores groups
+const GROUP_MODE = (process.env.GROUP_MODE || 'mention').toLowerCase();
+
+// Human handoff: staff forum supergroup where each guest gets a topic
+const HANDOFF_CHAT_ID = process.env.HANDOFF_CHAT_ID || '';
+const HANDOFF_TRACE_TYPES = (process.env.HANDOFF_TRACE_TYPES || 'handoff,live_agent,talk_to_agent')
+  .split(',')
+  .map((v) => v.trim())
+  .filter(Boolean);
+
+// Conversation transcripts (JSONL per chat)
+const TRANSCRIPTS_ENABLED = /^true$/i.test(process.env.TRANSCRIPTS_ENABLED || 'false');
+const TRANSCRIPT_DIR = process.env.TRANSCRIPT_DIR || path.join(__dirname, 'transcripts');
+const TRANSCRIPT_REDACT_PII = /^true$/i.test(process.env.TRANSCRIPT_REDACT_PII || 'false');
+
+// Localization
+const DEFAULT_LOCALE = (process.env.DEFAULT_LOCALE || 'en').toLowerCase();
+const VF_LOCALE_VARIABLE = process.env.VF_LOCALE_VARIABLE || 'locale'; // Voiceflow variable that receives the user's locale
+
+// State persistence (in-memory when REDIS_URL is empty)
+const REDIS_URL = process.env.REDIS_URL || '';
+const REDIS_PREFIX = process.env.REDIS_PREFIX || 'vftg:';
 
 
 if (!TELEGRAM_BOT_TOKEN || !VF_API_KEY || !VF_PROJECT_ID) {
@@ -55,6 +158,11 @@ if (!TELEGRAM_BOT_TOKEN || !VF_API_KEY || !VF_PROJECT_ID) {
   process.exit(1);
 }
 
+if (BOT_MODE === 'webhook' && (!HTTP_PORT || !WEBHOOK_URL)) {
+  console.error('❌ BOT_MODE=webhook needs HTTP_PORT and WEBHOOK_URL');
+  process.exit(1);
+}
+
 // Increased handler timeout (helps on slow VF turns and media uploads)
 const bot = new Telegraf(TELEGRAM_BOT_TOKEN, { handlerTimeout: 120_000 });
 const openai = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
@@ -69,6 +177,14 @@ console.log(
 console.log(`[system] CALENDLY_MINI_APP_URL: ${CALENDLY_MINI_APP_URL ? '✅ SET' : '⚠️ MISSING'}`);
 console.log(`[system] MARKETPLACE_MINI_APP_URL: ${MARKETPLACE_MINI_APP_URL ? '✅ SET' : '⚠️ MISSING'}`);
 console.log(`[system] RESERVATIONS_MINI_APP_URL: ${RESERVATIONS_MINI_APP_URL ? '✅ SET' : '⚠️ MISSING'}`);
+console.log(`[system] HTTP API: ${HTTP_PORT ? `✅ port ${HTTP_PORT}` : '⚠️ DISABLED (set HTTP_PORT)'}`);
+// Without a file link (and with vision off) Voiceflow only learns that a photo or document was sent
+console.log(
+  `[system] Attachment file links: ${PUBLIC_BASE_URL && HTTP_PORT
+    ? `✅ ${PUBLIC_BASE_URL}/api/file`
+    : `⚠️ OFF (set PUBLIC_BASE_URL and HTTP_PORT)${VISION_DESCRIBE ? '' : ', and VISION_DESCRIBE is off: Voiceflow gets no file content'}`}`
+);
+console.log(`[system] BOT_MODE: ${BOT_MODE}${BOT_MODE === 'webhook' ? ` → ${WEBHOOK_URL || '⚠️ WEBHOOK_URL MISSING'}${WEBHOOK_PATH}` : ''}`);
 console.log('🚀 BRIDGE VERSION: SCOPED BOOKING MESSAGE (Commit 41b)');
 
 // =====================
@@ -112,6 +228,11 @@ class TokenBucket {
   }
 }
 
+// Telegram's 429: the transport keeps the task queued and retries it after retry_after
+function isRateLimited(err) {
+  return err?.response?.error_code === 429 || err?.code === 429;
+}
+
 class SmartTransport {
   constructor() {
     // telegram global limit: ~30/sec. We target 27/sec for safety.
@@ -172,7 +293,7 @@ class SmartTransport {
         state.queue.shift(); // Remove only on success (or if we decide to drop it)
       } catch (err) {
         // Handle 429 specifically
-        if (err?.response?.error_code === 429 || err?.code === 429) {
+        if (isRateLimited(err)) {
           const retryAfter = err?.parameters?.retry_after || err?.response?.parameters?.retry_after || 5;
           console.warn(`[transport] 429 Too Many Requests for chat ${chatId}. Pausing for ${retryAfter}s.`);
           state.pausedUntil = Date.now() + (retryAfter * 1000) + 1000; // Add 1s buffer
@@ -206,13 +327,202 @@ const api = axios.create({
   validateStatus: (s) => s >= 200 && s < 300,
 });
 
+// =====================
+// State store (in-memory or Redis)
+// =====================
+// Backends share one async interface: get/set/delete JSON-able values per (namespace, key).
+class MemoryStateStore {
+  constructor() {
+    this.data = new Map(); // `${ns}:${key}` -> { value, expiresAt }
+  }
+
+  async get(ns, key) {
+    const rec = this.data.get(`${ns}:${key}`);
+    if (!rec) return undefined;
+    if (rec.expiresAt && rec.expiresAt <= Date.now()) {
+      this.data.delete(`${ns}:${key}`);
+      return undefined;
+    }
+    return rec.value;
+  }
+
+  async set(ns, key, value, ttlMs = 0) {
+    this.data.set(`${ns}:${key}`, { value, expiresAt: ttlMs > 0 ? Date.now() + ttlMs : 0 });
+  }
+
+  async delete(ns, key) {
+    this.data.delete(`${ns}:${key}`);
+  }
+
+  async keys(ns) {
+    const prefix = `${ns}:`;
+    const out = [];
+    for (const k of this.data.keys()) if (k.startsWith(prefix)) out.push(k.slice(prefix.length));
+    return out;
+  }
+
+  async close() { }
+}
+
+class RedisStateStore {
+  /** client: anything with node-redis v4 style get/set/del (a real client or an in-memory fake) */
+  constructor(client, prefix = REDIS_PREFIX) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  k(ns, key) {
+    return `${this.prefix}${ns}:${key}`;
+  }
+
+  async get(ns, key) {
+    const raw = await this.client.get(this.k(ns, key));
+    if (raw == null) return undefined;
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return undefined;
+    }
+  }
+
+  async set(ns, key, value, ttlMs = 0) {
+    const opts = ttlMs > 0 ? { PX: Math.ceil(ttlMs) } : undefined;
+    await this.client.set(this.k(ns, key), JSON.stringify(value), opts);
+  }
+
+  async delete(ns, key) {
+    await this.client.del(this.k(ns, key));
+  }
+
+  async keys(ns) {
+    const prefix = this.k(ns, '');
+    const out = [];
+    for await (const k of this.client.scanIterator({ MATCH: `${prefix}*`, COUNT: 500 })) out.push(k.slice(prefix.length));
+    return out;
+  }
+
+  async close() {
+    try {
+      await this.client.quit();
+    } catch { }
+  }
+}
+
+async function createStateStore() {
+  if (!REDIS_URL) return new MemoryStateStore();
+  try {
+    const { createClient } = await import('redis');
+    let connected = false;
+    const client = createClient({
+      url: REDIS_URL,
+      socket: {
+        // Give up quickly on boot (fall back to memory); reconnect indefinitely once we've been up
+        reconnectStrategy: (retries) => (!connected && retries >= 3 ? new Error('redis unreachable') : Math.min(retries * 200, 5000)),
+      },
+    });
+    client.on('error', (err) => {
+      if (connected) console.warn('[state] redis error:', err?.message || err);
+    });
+    await client.connect();
+    connected = true;
+    console.log('[state] ✅ Redis state store connected');
+    return new RedisStateStore(client);
+  } catch (e) {
+    console.warn('[state] ⚠️ Redis unavailable, falling back to in-memory state:', e?.message || e);
+    return new MemoryStateStore();
+  }
+}
+
+const stateStore = await createStateStore();
+
+/**
+ * Map that keeps working synchronously in-process and writes through to the state store.
+ * Writes are coalesced per key (hot paths like completion streaming call set() per chunk);
+ * entries missing locally are pulled in with load() before a handler runs.
+ */
+const persistentMaps = [];
+
+class PersistentMap extends Map {
+  constructor(ns, { ttlMs = 0, serialize = (v) => v, deserialize = (v) => v, store = stateStore } = {}) {
+    super();
+    this.ns = ns;
+    this.store = store;
+    this.ttlMs = ttlMs;
+    this.serialize = serialize;
+    this.deserialize = deserialize;
+    this.dirty = new Set();
+    this.flushTimer = null;
+    persistentMaps.push(this);
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    this.scheduleFlush(key);
+    return this;
+  }
+
+  delete(key) {
+    const had = super.delete(key);
+    this.dirty.delete(key);
+    this.store.delete(this.ns, key).catch((e) => console.warn(`[state] ${this.ns} delete failed:`, e?.message));
+    return had;
+  }
+
+  scheduleFlush(key) {
+    this.dirty.add(key);
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch(() => { });
+    }, 250);
+    this.flushTimer.unref();
+  }
+
+  async flush() {
+    const keys = [...this.dirty];
+    this.dirty.clear();
+    for (const key of keys) {
+      if (!super.has(key)) continue;
+      try {
+        await this.store.set(this.ns, key, this.serialize(super.get(key)), this.ttlMs);
+      } catch (e) {
+        console.warn(`[state] ${this.ns} save failed:`, e?.message);
+      }
+    }
+  }
+
+  async load(key) {
+    if (super.has(key)) return super.get(key);
+    try {
+      const stored = await this.store.get(this.ns, key);
+      if (stored === undefined) return undefined;
+      const value = this.deserialize(stored);
+      super.set(key, value);
+      return value;
+    } catch (e) {
+      console.warn(`[state] ${this.ns} load failed:`, e?.message);
+      return undefined;
+    }
+  }
+}
+
+async function flushPersistentMaps() {
+  for (const m of persistentMaps) {
+    if (m.flushTimer) {
+      clearTimeout(m.flushTimer);
+      m.flushTimer = null;
+    }
+    await m.flush();
+  }
+}
+
 // =====================
 // callback_data stash (≤64B)
 // =====================
 const CALLBACK_PREFIX = 'CB:';
 const REQUEST_PREFIX = 'RQ:';
 const CALLBACK_TTL_MS = 15 * 60 * 1000;
-const stash = new Map();
+const stash = new PersistentMap('stash', { ttlMs: CALLBACK_TTL_MS });
 
 function stashPut(userId, payload) {
   const key = `${CALLBACK_PREFIX}${randomUUID().slice(0, 12)}`;
@@ -220,8 +530,8 @@ function stashPut(userId, payload) {
   return key;
 }
 
-function stashTake(key, userId) {
-  const rec = stash.get(key);
+async function stashTake(key, userId) {
+  const rec = await stash.load(key);
   if (!rec || rec.userId !== userId) return null;
   stash.delete(key);
   return rec.payload;
@@ -232,16 +542,509 @@ setInterval(() => {
   for (const [k, v] of stash.entries()) if (now - v.ts > CALLBACK_TTL_MS) stash.delete(k);
 }, 5 * 60 * 1000).unref();
 
+// =====================
+// Chat scoping (private / group / forum topic)
+// =====================
+function isGroupChat(ctx) {
+  return ctx.chat?.type === 'group' || ctx.chat?.type === 'supergroup';
+}
+
+function threadIdOf(ctx) {
+  return ctx.msg?.is_topic_message ? ctx.msg.message_thread_id : undefined;
+}
+
+/**
+ * Key for everything conversation-scoped (Voiceflow user id, sessions, keyboards, completion bubbles).
+ * Private chats keep the plain user id; groups get one conversation per chat, forum topic and member.
+ */
+function sessionKey(ctx) {
+  const userId = ctx.from?.id;
+  if (!isGroupChat(ctx)) return userId;
+  const thread = threadIdOf(ctx);
+  return thread ? `${ctx.chat.id}_${thread}_${userId}` : `${ctx.chat.id}_${userId}`;
+}
+
+function entitiesOf(msg) {
+  return [...(msg?.entities || []), ...(msg?.caption_entities || [])];
+}
+
+/**
+ * Whether a group update is addressed to the bot: a command (bare or @this_bot), an @mention,
+ * a reply to one of our messages, or a press on one of our buttons.
+ */
+function isAddressedToBot(ctx) {
+  if (ctx.callbackQuery) return true;
+  const msg = ctx.message;
+  if (!msg) return false;
+
+  const me = bot.botInfo;
+  const username = me?.username?.toLowerCase();
+  const text = msg.text || msg.caption || '';
+
+  if (msg.reply_to_message?.from?.id && msg.reply_to_message.from.id === me?.id) return true;
+
+  for (const e of entitiesOf(msg)) {
+    const part = text.slice(e.offset, e.offset + e.length).toLowerCase();
+    if (e.type === 'bot_command' && e.offset === 0) {
+      const [, target] = part.split('@');
+      if (!target || target === username) return true;
+    }
+    if (e.type === 'mention' && username && part === `@${username}`) return true;
+    if (e.type === 'text_mention' && e.user?.id === me?.id) return true;
+  }
+  return false;
+}
+
+function stripBotMention(text) {
+  const username = bot.botInfo?.username;
+  if (!username || !text) return text;
+  return text.replace(new RegExp(`@${username}\\b`, 'gi'), '').replace(/\s{2,}/g, ' ').trim();
+}
+
+// =====================
+// Localization
+// =====================
+const LOCALES = {
+  en: {
+    name: 'English',
+    'choice.prompt': 'Select an option:',
+    'choice.group_prompt': 'Choose an option:',
+    'choice.book_now_prompt': 'Use the "Book Now" button to complete the booking:',
+    'booking.prompt': 'Press the Book Now button to complete the booking',
+    'error.generic': 'Sorry, something went wrong. Please try again.',
+    'voice.unsupported': 'Voice messages are not supported (OpenAI STT not configured).',
+    'voice.empty': "Sorry, I couldn't hear what you said. Could you try again?",
+    'voice.failed': 'Sorry, I had trouble processing your voice message: {detail}',
+    'webapp.invalid': "Sorry, I couldn't read the details sent from the app. Please try again.",
+    'attachment.too_large': 'Sorry, that file is too large. Please send something under 20 MB.',
+    'tts.status': 'Voice replies: {status}.\nUse /voice on, /voice off or /voice auto.',
+    'tts.status.on': 'on',
+    'tts.status.off': 'off',
+    'tts.status.auto': 'auto (when you send voice)',
+    'tts.enabled': 'Voice replies turned on.',
+    'tts.disabled': 'Voice replies turned off.',
+    'tts.auto': "I'll answer by voice when you send me a voice message.",
+    'language.pick': 'Choose your language:',
+    'language.set': 'Language set to English.',
+    'admin.denied': 'Sorry, this command is only available to operators.',
+    'handoff.started': "I'm connecting you with a member of our team. They'll reply right here.",
+    'handoff.unavailable': 'Sorry, no one from our team is available right now. Please try again later.',
+    'handoff.already': "You're already chatting with our team. Send /release to return to the assistant.",
+    'handoff.ended': "Our team has closed this chat. You're back with the assistant.",
+    'handoff.released': "You've left the chat with our team. You're back with the assistant.",
+    'handoff.none': "You're not chatting with our team right now, so there's nothing to release.",
+    'kb.sources': 'Sources:',
+    'stream.interrupted': 'Reply interrupted. Send “continue” if you need the rest.',
+    'stream.no_reply': "Sorry, I didn't get an answer in time. Please send your message again.",
+    'calendly.confirmed': "✅ You're booked: <b>{name}</b>\n🗓 {when}\n\nAdd it to your calendar with the attached file.",
+    'calendly.confirmed_short': "✅ Your booking is confirmed. You'll receive the details by email.",
+    'calendly.reschedule': 'Reschedule',
+    'calendly.cancel': 'Cancel booking',
+    'dining.confirmed': '✅ Table booked at <b>{venue}</b>\n{when} · {size} guests · {area}\nReference: <code>{id}</code>',
+    'dining.cancelled': 'Your reservation <code>{id}</code> at <b>{venue}</b> ({when}) has been cancelled.',
+    'order.room_charged': "🛍 Order <code>{id}</code> is placed.\n{items}\n\n<b>{total}</b> will be charged to room {room}. We'll keep you posted here.",
+    'order.invoice_title': 'Order {id}',
+    'order.invoice_description': '{count} item(s) from the onboard boutique, delivered to your room.',
+    'order.paid': "✅ Payment received for order <code>{id}</code> ({total}).\n{items}\n\nWe'll keep you posted here.",
+    'order.unavailable': 'This order can no longer be paid. Please place it again from the boutique.',
+    'order.payment_refunded': "💸 Your payment for order <code>{id}</code> arrived after the order was closed, so we've refunded it. Please order again from the boutique.",
+    'order.payment_review': '💸 Your payment for order <code>{id}</code> arrived after the order was closed. Our team has been notified and will refund you shortly.',
+    'order.status': '🛍 Order <code>{id}</code>: {status}',
+    'order.status.awaiting_payment': 'waiting for payment',
+    'order.status.placed': 'received',
+    'order.status.preparing': 'being prepared',
+    'order.status.out_for_delivery': 'on its way to your room',
+    'order.status.delivered': 'delivered. Enjoy!',
+    'order.status.cancelled': 'cancelled',
+    'order.status.expired': 'cancelled because payment was not completed',
+    'spa.confirmed': '✨ <b>{service}</b> is booked for {when}.\nTotal {total} (includes {gratuity} service charge)\nReference: <code>{id}</code>',
+    'spa.cancelled': 'Your spa booking <code>{id}</code> ({service}, {when}) has been cancelled.',
+    'spa.cancel_fee': 'A late-cancellation fee of {fee} applies.',
+    'spa.list_header': 'Your upcoming spa bookings:',
+    'spa.none': 'You have no upcoming spa bookings.',
+    'spa.cancel_button': 'Cancel {id}',
+    'spa.cancel_confirm': 'Cancel <b>{service}</b> on {when}?',
+    'spa.cancel_yes': 'Yes, cancel',
+    'spa.cancel_keep': 'Keep it',
+    'spa.cancel_unavailable': "This booking can't be cancelled any more.",
+    'reminder.dining': '⏰ Reminder: your table at <b>{venue}</b> for {size} is booked for {when}. Reference <code>{id}</code>.',
+    'reminder.spa': '⏰ Reminder: <b>{service}</b> at the spa on {when}. Please arrive 15 minutes early.',
+    'reminder.calendly': '⏰ Reminder: <b>{name}</b> starts {when}.',
+    'followup.prompt': 'How was <b>{title}</b>? Tap to rate your experience.',
+    'followup.thanks': 'Thank you for your feedback!',
+  },
+  es: {
+    name: 'Español',
+    'choice.prompt': 'Selecciona una opción:',
+    'choice.group_prompt': 'Elige una opción:',
+    'choice.book_now_prompt': 'Usa el botón "Book Now" para completar la reserva:',
+    'booking.prompt': 'Pulsa el botón Book Now para completar la reserva',
+    'error.generic': 'Lo siento, algo salió mal. Inténtalo de nuevo.',
+    'voice.unsupported': 'Los mensajes de voz no están disponibles.',
+    'voice.empty': 'Lo siento, no he podido oírte. ¿Puedes intentarlo de nuevo?',
+    'voice.failed': 'Lo siento, no he podido procesar tu mensaje de voz: {detail}',
+    'webapp.invalid': 'Lo siento, no he podido leer los datos enviados desde la app. Inténtalo de nuevo.',
+    'attachment.too_large': 'Lo siento, el archivo es demasiado grande. Envía uno de menos de 20 MB.',
+    'tts.status': 'Respuestas de voz: {status}.\nUsa /voice on, /voice off o /voice auto.',
+    'tts.status.on': 'activadas',
+    'tts.status.off': 'desactivadas',
+    'tts.status.auto': 'automáticas (cuando envías voz)',
+    'tts.enabled': 'Respuestas de voz activadas.',
+    'tts.disabled': 'Respuestas de voz desactivadas.',
+    'tts.auto': 'Te responderé con voz cuando me envíes un mensaje de voz.',
+    'language.pick': 'Elige tu idioma:',
+    'language.set': 'Idioma cambiado a español.',
+    'admin.denied': 'Lo siento, este comando solo está disponible para operadores.',
+    'handoff.started': 'Te estoy conectando con un miembro de nuestro equipo. Te responderá aquí mismo.',
+    'handoff.unavailable': 'Lo siento, ahora mismo no hay nadie del equipo disponible. Inténtalo más tarde.',
+    'handoff.already': 'Ya estás hablando con nuestro equipo. Envía /release para volver al asistente.',
+    'handoff.ended': 'Nuestro equipo ha cerrado este chat. Vuelves a hablar con el asistente.',
+    'handoff.released': 'Has salido del chat con nuestro equipo. Vuelves a hablar con el asistente.',
+    'handoff.none': 'Ahora mismo no estás hablando con nuestro equipo, así que no hay nada que cerrar.',
+    'kb.sources': 'Fuentes:',
+    'stream.interrupted': 'Respuesta interrumpida. Escribe «continúa» si necesitas el resto.',
+    'stream.no_reply': 'Lo siento, no recibí una respuesta a tiempo. Vuelve a enviar tu mensaje.',
+    'calendly.confirmed': '✅ Reserva confirmada: <b>{name}</b>\n🗓 {when}\n\nAñádela a tu calendario con el archivo adjunto.',
+    'calendly.confirmed_short': '✅ Tu reserva está confirmada. Recibirás los detalles por correo electrónico.',
+    'calendly.reschedule': 'Cambiar fecha',
+    'calendly.cancel': 'Cancelar reserva',
+    'dining.confirmed': '✅ Mesa reservada en <b>{venue}</b>\n{when} · {size} personas · {area}\nReferencia: <code>{id}</code>',
+    'dining.cancelled': 'Tu reserva <code>{id}</code> en <b>{venue}</b> ({when}) ha sido cancelada.',
+    'order.room_charged': '🛍 Pedido <code>{id}</code> realizado.\n{items}\n\nSe cargarán <b>{total}</b> a la habitación {room}. Te mantendremos informado aquí.',
+    'order.invoice_title': 'Pedido {id}',
+    'order.invoice_description': '{count} artículo(s) de la boutique a bordo, entregados en tu habitación.',
+    'order.paid': '✅ Pago recibido para el pedido <code>{id}</code> ({total}).\n{items}\n\nTe mantendremos informado aquí.',
+    'order.unavailable': 'Este pedido ya no se puede pagar. Vuelve a realizarlo desde la boutique.',
+    'order.payment_refunded': '💸 Tu pago del pedido <code>{id}</code> llegó cuando el pedido ya estaba cerrado, así que lo hemos reembolsado. Vuelve a pedirlo desde la boutique.',
+    'order.payment_review': '💸 Tu pago del pedido <code>{id}</code> llegó cuando el pedido ya estaba cerrado. Hemos avisado a nuestro equipo y te lo reembolsará en breve.',
+    'order.status': '🛍 Pedido <code>{id}</code>: {status}',
+    'order.status.awaiting_payment': 'pendiente de pago',
+    'order.status.placed': 'recibido',
+    'order.status.preparing': 'en preparación',
+    'order.status.out_for_delivery': 'en camino a tu habitación',
+    'order.status.delivered': 'entregado. ¡Que lo disfrutes!',
+    'order.status.cancelled': 'cancelado',
+    'order.status.expired': 'cancelado porque no se completó el pago',
+    'spa.confirmed': '✨ <b>{service}</b> reservado para el {when}.\nTotal {total} (incluye {gratuity} de cargo por servicio)\nReferencia: <code>{id}</code>',
+    'spa.cancelled': 'Tu reserva de spa <code>{id}</code> ({service}, {when}) ha sido cancelada.',
+    'spa.cancel_fee': 'Se aplica un cargo por cancelación tardía de {fee}.',
+    'spa.list_header': 'Tus próximas reservas de spa:',
+    'spa.none': 'No tienes reservas de spa próximas.',
+    'spa.cancel_button': 'Cancelar {id}',
+    'spa.cancel_confirm': '¿Cancelar <b>{service}</b> el {when}?',
+    'spa.cancel_yes': 'Sí, cancelar',
+    'spa.cancel_keep': 'Mantener',
+    'spa.cancel_unavailable': 'Esta reserva ya no se puede cancelar.',
+    'reminder.dining': '⏰ Recordatorio: tu mesa en <b>{venue}</b> para {size} está reservada para el {when}. Referencia <code>{id}</code>.',
+    'reminder.spa': '⏰ Recordatorio: <b>{service}</b> en el spa el {when}. Llega 15 minutos antes, por favor.',
+    'reminder.calendly': '⏰ Recordatorio: <b>{name}</b> empieza el {when}.',
+    'followup.prompt': '¿Qué tal fue <b>{title}</b>? Toca para valorar tu experiencia.',
+    'followup.thanks': '¡Gracias por tu opinión!',
+  },
+  fr: {
+    name: 'Français',
+    'choice.prompt': 'Sélectionnez une option :',
+    'choice.group_prompt': 'Choisissez une option :',
+    'choice.book_now_prompt': 'Utilisez le bouton « Book Now » pour finaliser la réservation :',
+    'booking.prompt': 'Appuyez sur le bouton Book Now pour finaliser la réservation',
+    'error.generic': "Désolé, une erreur s'est produite. Veuillez réessayer.",
+    'voice.unsupported': 'Les messages vocaux ne sont pas pris en charge.',
+    'voice.empty': "Désolé, je n'ai pas entendu. Pouvez-vous réessayer ?",
+    'voice.failed': "Désolé, je n'ai pas pu traiter votre message vocal : {detail}",
+    'webapp.invalid': "Désolé, je n'ai pas pu lire les informations envoyées par l'application. Veuillez réessayer.",
+    'attachment.too_large': 'Désolé, ce fichier est trop volumineux. Envoyez un fichier de moins de 20 Mo.',
+    'tts.status': 'Réponses vocales : {status}.\nUtilisez /voice on, /voice off ou /voice auto.',
+    'tts.status.on': 'activées',
+    'tts.status.off': 'désactivées',
+    'tts.status.auto': 'automatiques (quand vous envoyez un vocal)',
+    'tts.enabled': 'Réponses vocales activées.',
+    'tts.disabled': 'Réponses vocales désactivées.',
+    'tts.auto': 'Je répondrai par un vocal quand vous m’enverrez un message vocal.',
+    'language.pick': 'Choisissez votre langue :',
+    'language.set': 'Langue définie sur le français.',
+    'admin.denied': 'Désolé, cette commande est réservée aux opérateurs.',
+    'handoff.started': 'Je vous mets en relation avec un membre de notre équipe. Il vous répondra ici même.',
+    'handoff.unavailable': "Désolé, personne de notre équipe n'est disponible pour le moment. Veuillez réessayer plus tard.",
+    'handoff.already': "Vous discutez déjà avec notre équipe. Envoyez /release pour revenir à l'assistant.",
+    'handoff.ended': "Notre équipe a clôturé cette conversation. Vous êtes de retour avec l'assistant.",
+    'handoff.released': "Vous avez quitté la conversation avec notre équipe. Vous êtes de retour avec l'assistant.",
+    'handoff.none': "Vous n'êtes pas en conversation avec notre équipe, il n'y a rien à clôturer.",
+    'kb.sources': 'Sources :',
+    'stream.interrupted': 'Réponse interrompue. Envoyez « continue » pour avoir la suite.',
+    'stream.no_reply': "Désolé, je n'ai pas reçu de réponse à temps. Veuillez renvoyer votre message.",
+    'calendly.confirmed': '✅ Réservation confirmée : <b>{name}</b>\n🗓 {when}\n\nAjoutez-la à votre agenda avec le fichier joint.',
+    'calendly.confirmed_short': '✅ Votre réservation est confirmée. Vous recevrez les détails par e-mail.',
+    'calendly.reschedule': 'Modifier',
+    'calendly.cancel': 'Annuler la réservation',
+    'dining.confirmed': '✅ Table réservée à <b>{venue}</b>\n{when} · {size} personnes · {area}\nRéférence : <code>{id}</code>',
+    'dining.cancelled': 'Votre réservation <code>{id}</code> à <b>{venue}</b> ({when}) a été annulée.',
+    'order.room_charged': '🛍 Commande <code>{id}</code> enregistrée.\n{items}\n\n<b>{total}</b> seront facturés à la cabine {room}. Nous vous tiendrons informé ici.',
+    'order.invoice_title': 'Commande {id}',
+    'order.invoice_description': '{count} article(s) de la boutique à bord, livrés dans votre cabine.',
+    'order.paid': '✅ Paiement reçu pour la commande <code>{id}</code> ({total}).\n{items}\n\nNous vous tiendrons informé ici.',
+    'order.unavailable': 'Cette commande ne peut plus être payée. Veuillez la repasser depuis la boutique.',
+    'order.payment_refunded': "💸 Votre paiement pour la commande <code>{id}</code> est arrivé après sa clôture, nous l'avons donc remboursé. Veuillez la repasser depuis la boutique.",
+    'order.payment_review': '💸 Votre paiement pour la commande <code>{id}</code> est arrivé après sa clôture. Notre équipe a été prévenue et vous remboursera sous peu.',
+    'order.status': '🛍 Commande <code>{id}</code> : {status}',
+    'order.status.awaiting_payment': 'en attente de paiement',
+    'order.status.placed': 'reçue',
+    'order.status.preparing': 'en préparation',
+    'order.status.out_for_delivery': 'en route vers votre cabine',
+    'order.status.delivered': 'livrée. Profitez-en !',
+    'order.status.cancelled': 'annulée',
+    'order.status.expired': "annulée car le paiement n'a pas été finalisé",
+    'spa.confirmed': '✨ <b>{service}</b> est réservé pour le {when}.\nTotal {total} (dont {gratuity} de frais de service)\nRéférence : <code>{id}</code>',
+    'spa.cancelled': 'Votre réservation spa <code>{id}</code> ({service}, {when}) a été annulée.',
+    'spa.cancel_fee': "Des frais d'annulation tardive de {fee} s'appliquent.",
+    'spa.list_header': 'Vos prochaines réservations spa :',
+    'spa.none': "Vous n'avez aucune réservation spa à venir.",
+    'spa.cancel_button': 'Annuler {id}',
+    'spa.cancel_confirm': 'Annuler <b>{service}</b> le {when} ?',
+    'spa.cancel_yes': 'Oui, annuler',
+    'spa.cancel_keep': 'Conserver',
+    'spa.cancel_unavailable': 'Cette réservation ne peut plus être annulée.',
+    'reminder.dining': '⏰ Rappel : votre table au <b>{venue}</b> pour {size} est réservée le {when}. Référence <code>{id}</code>.',
+    'reminder.spa': "⏰ Rappel : <b>{service}</b> au spa le {when}. Merci d'arriver 15 minutes en avance.",
+    'reminder.calendly': '⏰ Rappel : <b>{name}</b> commence le {when}.',
+    'followup.prompt': "Comment s'est passé <b>{title}</b> ? Touchez pour noter votre expérience.",
+    'followup.thanks': 'Merci pour votre avis !',
+  },
+  de: {
+    name: 'Deutsch',
+    'choice.prompt': 'Bitte wählen Sie eine Option:',
+    'choice.group_prompt': 'Wählen Sie eine Option:',
+    'choice.book_now_prompt': 'Verwenden Sie die Schaltfläche „Book Now“, um die Buchung abzuschließen:',
+    'booking.prompt': 'Tippen Sie auf Book Now, um die Buchung abzuschließen',
+    'error.generic': 'Entschuldigung, etwas ist schiefgelaufen. Bitte versuchen Sie es erneut.',
+    'voice.unsupported': 'Sprachnachrichten werden nicht unterstützt.',
+    'voice.empty': 'Entschuldigung, ich konnte Sie nicht verstehen. Bitte versuchen Sie es noch einmal.',
+    'voice.failed': 'Entschuldigung, Ihre Sprachnachricht konnte nicht verarbeitet werden: {detail}',
+    'webapp.invalid': 'Entschuldigung, die Daten aus der App konnten nicht gelesen werden. Bitte versuchen Sie es erneut.',
+    'attachment.too_large': 'Entschuldigung, die Datei ist zu groß. Bitte senden Sie eine Datei unter 20 MB.',
+    'tts.status': 'Sprachantworten: {status}.\nVerwenden Sie /voice on, /voice off oder /voice auto.',
+    'tts.status.on': 'an',
+    'tts.status.off': 'aus',
+    'tts.status.auto': 'automatisch (wenn Sie eine Sprachnachricht senden)',
+    'tts.enabled': 'Sprachantworten aktiviert.',
+    'tts.disabled': 'Sprachantworten deaktiviert.',
+    'tts.auto': 'Ich antworte per Sprachnachricht, wenn Sie mir eine senden.',
+    'language.pick': 'Wählen Sie Ihre Sprache:',
+    'language.set': 'Sprache auf Deutsch umgestellt.',
+    'admin.denied': 'Entschuldigung, dieser Befehl steht nur Betreibern zur Verfügung.',
+    'handoff.started': 'Ich verbinde Sie mit einem Mitglied unseres Teams. Die Antwort kommt direkt hier.',
+    'handoff.unavailable': 'Entschuldigung, gerade ist niemand aus unserem Team erreichbar. Bitte versuchen Sie es später erneut.',
+    'handoff.already': 'Sie chatten bereits mit unserem Team. Senden Sie /release, um zum Assistenten zurückzukehren.',
+    'handoff.ended': 'Unser Team hat diesen Chat beendet. Sie sind wieder beim Assistenten.',
+    'handoff.released': 'Sie haben den Chat mit unserem Team verlassen. Sie sind wieder beim Assistenten.',
+    'handoff.none': 'Sie chatten gerade nicht mit unserem Team, es gibt also nichts zu beenden.',
+    'kb.sources': 'Quellen:',
+    'stream.interrupted': 'Antwort unterbrochen. Schreib „weiter“, wenn du den Rest brauchst.',
+    'stream.no_reply': 'Entschuldigung, ich habe nicht rechtzeitig eine Antwort bekommen. Bitte sende deine Nachricht noch einmal.',
+    'calendly.confirmed': '✅ Gebucht: <b>{name}</b>\n🗓 {when}\n\nMit der angehängten Datei können Sie den Termin in Ihren Kalender übernehmen.',
+    'calendly.confirmed_short': '✅ Ihre Buchung ist bestätigt. Die Details erhalten Sie per E-Mail.',
+    'calendly.reschedule': 'Verschieben',
+    'calendly.cancel': 'Buchung stornieren',
+    'dining.confirmed': '✅ Tisch reserviert im <b>{venue}</b>\n{when} · {size} Personen · {area}\nReferenz: <code>{id}</code>',
+    'dining.cancelled': 'Deine Reservierung <code>{id}</code> im <b>{venue}</b> ({when}) wurde storniert.',
+    'order.room_charged': '🛍 Bestellung <code>{id}</code> aufgegeben.\n{items}\n\n<b>{total}</b> werden auf Kabine {room} gebucht. Wir halten dich hier auf dem Laufenden.',
+    'order.invoice_title': 'Bestellung {id}',
+    'order.invoice_description': '{count} Artikel aus der Bordboutique, geliefert in deine Kabine.',
+    'order.paid': '✅ Zahlung für Bestellung <code>{id}</code> erhalten ({total}).\n{items}\n\nWir halten dich hier auf dem Laufenden.',
+    'order.unavailable': 'Diese Bestellung kann nicht mehr bezahlt werden. Bitte bestelle erneut in der Boutique.',
+    'order.payment_refunded': '💸 Deine Zahlung für Bestellung <code>{id}</code> kam erst nach dem Abschluss der Bestellung an, daher haben wir sie erstattet. Bitte bestelle erneut in der Boutique.',
+    'order.payment_review': '💸 Deine Zahlung für Bestellung <code>{id}</code> kam erst nach dem Abschluss der Bestellung an. Unser Team ist informiert und erstattet sie in Kürze.',
+    'order.status': '🛍 Bestellung <code>{id}</code>: {status}',
+    'order.status.awaiting_payment': 'wartet auf Zahlung',
+    'order.status.placed': 'eingegangen',
+    'order.status.preparing': 'wird vorbereitet',
+    'order.status.out_for_delivery': 'unterwegs zu deiner Kabine',
+    'order.status.delivered': 'zugestellt. Viel Freude!',
+    'order.status.cancelled': 'storniert',
+    'order.status.expired': 'storniert, weil die Zahlung nicht abgeschlossen wurde',
+    'spa.confirmed': '✨ <b>{service}</b> ist gebucht für {when}.\nGesamt {total} (inkl. {gratuity} Servicegebühr)\nReferenz: <code>{id}</code>',
+    'spa.cancelled': 'Deine Spa-Buchung <code>{id}</code> ({service}, {when}) wurde storniert.',
+    'spa.cancel_fee': 'Es fällt eine Gebühr für kurzfristige Stornierung von {fee} an.',
+    'spa.list_header': 'Deine kommenden Spa-Buchungen:',
+    'spa.none': 'Du hast keine kommenden Spa-Buchungen.',
+    'spa.cancel_button': '{id} stornieren',
+    'spa.cancel_confirm': '<b>{service}</b> am {when} stornieren?',
+    'spa.cancel_yes': 'Ja, stornieren',
+    'spa.cancel_keep': 'Behalten',
+    'spa.cancel_unavailable': 'Diese Buchung kann nicht mehr storniert werden.',
+    'reminder.dining': '⏰ Erinnerung: Dein Tisch im <b>{venue}</b> für {size} ist für {when} reserviert. Referenz <code>{id}</code>.',
+    'reminder.spa': '⏰ Erinnerung: <b>{service}</b> im Spa am {when}. Bitte komm 15 Minuten früher.',
+    'reminder.calendly': '⏰ Erinnerung: <b>{name}</b> beginnt am {when}.',
+    'followup.prompt': 'Wie war <b>{title}</b>? Tippe, um deine Erfahrung zu bewerten.',
+    'followup.thanks': 'Danke für dein Feedback!',
+  },
+  it: {
+    name: 'Italiano',
+    'choice.prompt': "Seleziona un'opzione:",
+    'choice.group_prompt': "Scegli un'opzione:",
+    'choice.book_now_prompt': 'Usa il pulsante "Book Now" per completare la prenotazione:',
+    'booking.prompt': 'Premi il pulsante Book Now per completare la prenotazione',
+    'error.generic': 'Spiacenti, qualcosa è andato storto. Riprova.',
+    'voice.unsupported': 'I messaggi vocali non sono supportati.',
+    'voice.empty': 'Spiacenti, non ho sentito. Puoi riprovare?',
+    'voice.failed': 'Spiacenti, non sono riuscito a elaborare il tuo messaggio vocale: {detail}',
+    'webapp.invalid': "Spiacenti, non sono riuscito a leggere i dati inviati dall'app. Riprova.",
+    'attachment.too_large': 'Spiacenti, il file è troppo grande. Invia un file inferiore a 20 MB.',
+    'tts.status': 'Risposte vocali: {status}.\nUsa /voice on, /voice off o /voice auto.',
+    'tts.status.on': 'attive',
+    'tts.status.off': 'disattivate',
+    'tts.status.auto': 'automatiche (quando invii un vocale)',
+    'tts.enabled': 'Risposte vocali attivate.',
+    'tts.disabled': 'Risposte vocali disattivate.',
+    'tts.auto': 'Risponderò con un vocale quando mi invii un messaggio vocale.',
+    'language.pick': 'Scegli la tua lingua:',
+    'language.set': 'Lingua impostata su italiano.',
+    'admin.denied': 'Spiacenti, questo comando è riservato agli operatori.',
+    'handoff.started': 'Ti sto mettendo in contatto con un membro del nostro team. Ti risponderà qui.',
+    'handoff.unavailable': 'Spiacenti, al momento nessuno del team è disponibile. Riprova più tardi.',
+    'handoff.already': "Stai già parlando con il nostro team. Invia /release per tornare all'assistente.",
+    'handoff.ended': "Il nostro team ha chiuso questa chat. Sei di nuovo con l'assistente.",
+    'handoff.released': "Hai lasciato la chat con il nostro team. Sei di nuovo con l'assistente.",
+    'handoff.none': "Al momento non stai parlando con il nostro team, quindi non c'è nulla da chiudere.",
+    'kb.sources': 'Fonti:',
+    'stream.interrupted': 'Risposta interrotta. Scrivi «continua» se ti serve il resto.',
+    'stream.no_reply': 'Mi dispiace, non ho ricevuto una risposta in tempo. Invia di nuovo il tuo messaggio.',
+    'calendly.confirmed': '✅ Prenotazione confermata: <b>{name}</b>\n🗓 {when}\n\nAggiungila al tuo calendario con il file allegato.',
+    'calendly.confirmed_short': '✅ La tua prenotazione è confermata. Riceverai i dettagli via email.',
+    'calendly.reschedule': 'Modifica data',
+    'calendly.cancel': 'Annulla prenotazione',
+    'dining.confirmed': '✅ Tavolo prenotato da <b>{venue}</b>\n{when} · {size} persone · {area}\nRiferimento: <code>{id}</code>',
+    'dining.cancelled': 'La tua prenotazione <code>{id}</code> da <b>{venue}</b> ({when}) è stata annullata.',
+    'order.room_charged': '🛍 Ordine <code>{id}</code> effettuato.\n{items}\n\n<b>{total}</b> saranno addebitati sulla cabina {room}. Ti terremo aggiornato qui.',
+    'order.invoice_title': 'Ordine {id}',
+    'order.invoice_description': '{count} articolo/i dalla boutique di bordo, consegnati in cabina.',
+    'order.paid': "✅ Pagamento ricevuto per l'ordine <code>{id}</code> ({total}).\n{items}\n\nTi terremo aggiornato qui.",
+    'order.unavailable': 'Questo ordine non può più essere pagato. Effettualo di nuovo dalla boutique.',
+    'order.payment_refunded': "💸 Il pagamento dell'ordine <code>{id}</code> è arrivato dopo la chiusura dell'ordine, quindi l'abbiamo rimborsato. Effettualo di nuovo dalla boutique.",
+    'order.payment_review': "💸 Il pagamento dell'ordine <code>{id}</code> è arrivato dopo la chiusura dell'ordine. Il nostro team è stato avvisato e ti rimborserà a breve.",
+    'order.status': '🛍 Ordine <code>{id}</code>: {status}',
+    'order.status.awaiting_payment': 'in attesa di pagamento',
+    'order.status.placed': 'ricevuto',
+    'order.status.preparing': 'in preparazione',
+    'order.status.out_for_delivery': 'in consegna alla tua cabina',
+    'order.status.delivered': 'consegnato. Buon divertimento!',
+    'order.status.cancelled': 'annullato',
+    'order.status.expired': 'annullato perché il pagamento non è stato completato',
+    'spa.confirmed': '✨ <b>{service}</b> prenotato per il {when}.\nTotale {total} (incluso {gratuity} di costo del servizio)\nRiferimento: <code>{id}</code>',
+    'spa.cancelled': 'La tua prenotazione spa <code>{id}</code> ({service}, {when}) è stata annullata.',
+    'spa.cancel_fee': 'Si applica una penale di cancellazione tardiva di {fee}.',
+    'spa.list_header': 'Le tue prossime prenotazioni spa:',
+    'spa.none': 'Non hai prenotazioni spa in programma.',
+    'spa.cancel_button': 'Annulla {id}',
+    'spa.cancel_confirm': 'Annullare <b>{service}</b> il {when}?',
+    'spa.cancel_yes': 'Sì, annulla',
+    'spa.cancel_keep': 'Mantieni',
+    'spa.cancel_unavailable': 'Questa prenotazione non può più essere annullata.',
+    'reminder.dining': '⏰ Promemoria: il tuo tavolo da <b>{venue}</b> per {size} è prenotato per il {when}. Riferimento <code>{id}</code>.',
+    'reminder.spa': '⏰ Promemoria: <b>{service}</b> alla spa il {when}. Ti preghiamo di arrivare 15 minuti prima.',
+    'reminder.calendly': '⏰ Promemoria: <b>{name}</b> inizia il {when}.',
+    'followup.prompt': "Com'è andato <b>{title}</b>? Tocca per valutare la tua esperienza.",
+    'followup.thanks': 'Grazie per il tuo feedback!',
+  },
+  pt: {
+    name: 'Português',
+    'choice.prompt': 'Selecione uma opção:',
+    'choice.group_prompt': 'Escolha uma opção:',
+    'choice.book_now_prompt': 'Use o botão "Book Now" para concluir a reserva:',
+    'booking.prompt': 'Toque no botão Book Now para concluir a reserva',
+    'error.generic': 'Desculpe, algo deu errado. Tente novamente.',
+    'voice.unsupported': 'Mensagens de voz não são suportadas.',
+    'voice.empty': 'Desculpe, não consegui ouvir. Pode tentar novamente?',
+    'voice.failed': 'Desculpe, não consegui processar sua mensagem de voz: {detail}',
+    'webapp.invalid': 'Desculpe, não consegui ler os dados enviados pelo app. Tente novamente.',
+    'attachment.too_large': 'Desculpe, o arquivo é grande demais. Envie um arquivo com menos de 20 MB.',
+    'tts.status': 'Respostas por voz: {status}.\nUse /voice on, /voice off ou /voice auto.',
+    'tts.status.on': 'ativadas',
+    'tts.status.off': 'desativadas',
+    'tts.status.auto': 'automáticas (quando você envia voz)',
+    'tts.enabled': 'Respostas por voz ativadas.',
+    'tts.disabled': 'Respostas por voz desativadas.',
+    'tts.auto': 'Vou responder por voz quando você me enviar uma mensagem de voz.',
+    'language.pick': 'Escolha seu idioma:',
+    'language.set': 'Idioma alterado para português.',
+    'admin.denied': 'Desculpe, este comando está disponível apenas para operadores.',
+    'handoff.started': 'Estou conectando você a um membro da nossa equipe. A resposta virá aqui mesmo.',
+    'handoff.unavailable': 'Desculpe, ninguém da equipe está disponível agora. Tente novamente mais tarde.',
+    'handoff.already': 'Você já está falando com a nossa equipe. Envie /release para voltar ao assistente.',
+    'handoff.ended': 'Nossa equipe encerrou este chat. Você está de volta com o assistente.',
+    'handoff.released': 'Você saiu do chat com a nossa equipe. Está de volta com o assistente.',
+    'handoff.none': 'Você não está falando com a nossa equipe agora, então não há nada para encerrar.',
+    'kb.sources': 'Fontes:',
+    'stream.interrupted': 'Resposta interrompida. Envie “continue” se precisar do resto.',
+    'stream.no_reply': 'Desculpe, não recebi uma resposta a tempo. Envie a sua mensagem novamente.',
+    'calendly.confirmed': '✅ Reserva confirmada: <b>{name}</b>\n🗓 {when}\n\nAdicione ao seu calendário com o arquivo em anexo.',
+    'calendly.confirmed_short': '✅ Sua reserva está confirmada. Você receberá os detalhes por e-mail.',
+    'calendly.reschedule': 'Remarcar',
+    'calendly.cancel': 'Cancelar reserva',
+    'dining.confirmed': '✅ Mesa reservada no <b>{venue}</b>\n{when} · {size} pessoas · {area}\nReferência: <code>{id}</code>',
+    'dining.cancelled': 'A sua reserva <code>{id}</code> no <b>{venue}</b> ({when}) foi cancelada.',
+    'order.room_charged': '🛍 Pedido <code>{id}</code> registado.\n{items}\n\n<b>{total}</b> serão cobrados no quarto {room}. Manteremos você informado aqui.',
+    'order.invoice_title': 'Pedido {id}',
+    'order.invoice_description': '{count} artigo(s) da boutique a bordo, entregues no seu quarto.',
+    'order.paid': '✅ Pagamento recebido para o pedido <code>{id}</code> ({total}).\n{items}\n\nManteremos você informado aqui.',
+    'order.unavailable': 'Este pedido já não pode ser pago. Faça-o novamente na boutique.',
+    'order.payment_refunded': '💸 O seu pagamento do pedido <code>{id}</code> chegou depois de o pedido ser encerrado, por isso foi reembolsado. Faça o pedido novamente na boutique.',
+    'order.payment_review': '💸 O seu pagamento do pedido <code>{id}</code> chegou depois de o pedido ser encerrado. A nossa equipe foi avisada e fará o reembolso em breve.',
+    'order.status': '🛍 Pedido <code>{id}</code>: {status}',
+    'order.status.awaiting_payment': 'a aguardar pagamento',
+    'order.status.placed': 'recebido',
+    'order.status.preparing': 'em preparação',
+    'order.status.out_for_delivery': 'a caminho do seu quarto',
+    'order.status.delivered': 'entregue. Aproveite!',
+    'order.status.cancelled': 'cancelado',
+    'order.status.expired': 'cancelado porque o pagamento não foi concluído',
+    'spa.confirmed': '✨ <b>{service}</b> reservado para {when}.\nTotal {total} (inclui {gratuity} de taxa de serviço)\nReferência: <code>{id}</code>',
+    'spa.cancelled': 'A sua reserva de spa <code>{id}</code> ({service}, {when}) foi cancelada.',
+    'spa.cancel_fee': 'Aplica-se uma taxa de cancelamento tardio de {fee}.',
+    'spa.list_header': 'As suas próximas reservas de spa:',
+    'spa.none': 'Não tem reservas de spa agendadas.',
+    'spa.cancel_button': 'Cancelar {id}',
+    'spa.cancel_confirm': 'Cancelar <b>{service}</b> em {when}?',
+    'spa.cancel_yes': 'Sim, cancelar',
+    'spa.cancel_keep': 'Manter',
+    'spa.cancel_unavailable': 'Esta reserva já não pode ser cancelada.',
+    'reminder.dining': '⏰ Lembrete: a sua mesa no <b>{venue}</b> para {size} está reservada para {when}. Referência <code>{id}</code>.',
+    'reminder.spa': '⏰ Lembrete: <b>{service}</b> no spa em {when}. Por favor, chegue 15 minutos antes.',
+    'reminder.calendly': '⏰ Lembrete: <b>{name}</b> começa em {when}.',
+    'followup.prompt': 'Como foi <b>{title}</b>? Toque para avaliar a sua experiência.',
+    'followup.thanks': 'Obrigado pelo seu feedback!',
+  },
+};
+
+const LANG_PREFIX = 'LANG:';
+const localeByUser = new PersistentMap('locale'); // userId -> explicit /language choice
+
+function normalizeLocale(code) {
+  const base = String(code || '').toLowerCase().split(/[-_]/)[0];
+  return LOCALES[base] ? base : '';
+}
+
+// /language choice → Telegram client language → DEFAULT_LOCALE
+function localeFor(ctx) {
+  const userId = ctx?.from?.id;
+  return normalizeLocale(userId && localeByUser.get(userId)) || normalizeLocale(ctx?.from?.language_code) || DEFAULT_LOCALE;
+}
+
+function tr(ctx, key, vars = {}) {
+  const locale = localeFor(ctx);
+  const template = LOCALES[locale]?.[key] ?? LOCALES.en[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (m, name) => (vars[name] !== undefined ? String(vars[name]) : m));
+}
+
 // =====================
 // Voiceflow helpers (STREAMING)
 // =====================
-const userStateBase = (userId) => `https://general-runtime.voiceflow.com/state/user/telegram_${userId}`;
+const userStateBase = (userId) => `${VF_RUNTIME_URL}/state/user/telegram_${userId}`;
 
 function streamUrl(userId) {
   const qp = new URLSearchParams();
   if (VF_COMPLETION_EVENTS) qp.set('completion_events', 'true');
   const qs = qp.toString();
-  const base = `https://general-runtime.voiceflow.com/v2/project/${VF_PROJECT_ID}/user/telegram_${userId}/interact/stream`;
+  const base = `${VF_RUNTIME_URL}/v2/project/${VF_PROJECT_ID}/user/telegram_${userId}/interact/stream`;
   return qs ? `${base}?${qs}` : base;
 }
 
@@ -252,14 +1055,64 @@ function vfHeaders({ stream = false } = {}) {
   return headers;
 }
 
+// userId -> locale last written into the VF user state (cleared on reset, since that wipes variables)
+const vfLocaleSynced = new Map();
+
 async function resetVoiceflow(userId) {
+  vfLocaleSynced.delete(userId);
+  sessions.delete(userId); // also lifts an `end` trace's closed flag
   try {
     await api.delete(userStateBase(userId), { headers: { Authorization: VF_API_KEY } });
   } catch { }
 }
 
-function parseSseStream(readable, onEvent) {
+async function syncVoiceflowLocale(ctx, userId) {
+  const locale = localeFor(ctx);
+  if (vfLocaleSynced.get(userId) === locale) return;
+  try {
+    await api.patch(
+      `${userStateBase(userId)}/variables`,
+      { [VF_LOCALE_VARIABLE]: locale, [`${VF_LOCALE_VARIABLE}_name`]: LOCALES[locale]?.name || locale },
+      { headers: vfHeaders() }
+    );
+    vfLocaleSynced.set(userId, locale);
+  } catch (e) {
+    if (DEBUG_STREAM) console.log('[locale] VF variable sync failed:', e?.message);
+  }
+}
+
+/**
+ * Reads an SSE body and calls onEvent({ event, id, data }) per event, then { event: 'end-of-stream' } on a clean end.
+ * A stream that stays silent for idleTimeoutMs, or runs past timeoutMs, is destroyed with an error (code ETIMEDOUT).
+ */
+function parseSseStream(readable, onEvent, { idleTimeoutMs = 0, timeoutMs = 0 } = {}) {
   let buf = '';
+  let idleTimer = null;
+  let overallTimer = null;
+
+  const abort = (message) => {
+    const err = new Error(message);
+    err.code = 'ETIMEDOUT';
+    readable.destroy(err);
+  };
+  const armIdle = () => {
+    if (!idleTimeoutMs) return;
+    if (idleTimer) clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => abort(`no stream data for ${idleTimeoutMs}ms`), idleTimeoutMs);
+    idleTimer.unref();
+  };
+  const clearTimers = () => {
+    if (idleTimer) clearTimeout(idleTimer);
+    if (overallTimer) clearTimeout(overallTimer);
+    idleTimer = null;
+    overallTimer = null;
+  };
+  if (timeoutMs) {
+    overallTimer = setTimeout(() => abort(`stream exceeded ${timeoutMs}ms`), timeoutMs);
+    overallTimer.unref();
+  }
+  armIdle();
+  readable.on('close', clearTimers);
   let curEvent = '';
   let curId = '';
   let dataLines = [];
@@ -283,6 +1136,7 @@ function parseSseStream(readable, onEvent) {
   };
 
   readable.on('data', (chunk) => {
+    armIdle();
     buf += chunk.toString('utf8');
 
     const parts = buf.split(/\r?\n/);
@@ -310,6 +1164,7 @@ function parseSseStream(readable, onEvent) {
   });
 
   readable.on('end', () => {
+    clearTimers();
     dispatch();
     onEvent({ event: 'end-of-stream', data: null });
   });
@@ -426,27 +1281,304 @@ function linkifyBareUrlsToMarkdown(raw) {
   return s.replace(/(^|[\s>])((https?:\/\/)[^\s)<]+)(?=$|[\s<])/gi, (m, pre, url) => `${pre}[${url}](${url})`);
 }
 
-function extractCalendlyUrl(text) {
-  if (!text) return null;
-  // 1. Look for direct URL
-  const re = /https?:\/\/(www\.)?calendly\.com\/[^\s"'>\)]+/i;
-  let match = text.match(re);
-  if (match) return match[0].trim();
+// =====================
+// Booking rules (per deployment)
+// =====================
+// Booking providers whose links become "Book Now" mini app buttons. Each provider:
+//   id, label         synthetic button label (its text part also identifies booking buttons from Voiceflow)
+//   domain            e.g. 'calendly.com'; links, iframes and leftover tags for it are detected/suppressed
+//   urlPattern        optional regex overriding the link pattern derived from `domain`
+//   promptUrl         link for the button when a booking prompt has none (defaults to fallbackUrl)
+//   fallbackUrl       "Book <term>" buttons open this when the response has no link of this provider;
+//                     empty leaves those buttons as they are (`${ENV_VAR}` is expanded in both)
+//   promptKeywords    phrases that mark a booking prompt
+//   buttonVerbs/Terms "Book <term>" buttons get the booking link ("book" + "karts" → Book Karts)
+//   suppressPrompts   regexes removed from the displayed text (the button replaces them)
+//   plainLink         also offer the button when no mini app route handles the link
+// Keyword lists may be arrays or named sets, e.g. { "en": [...], "es": [...] }; all sets apply.
+const DEFAULT_BOOKING_RULES = {
+  providers: [
+    {
+      id: 'calendly',
+      label: '📅 Book Now',
+      domain: 'calendly.com',
+      promptUrl: 'https://calendly.com/goldenhorizon-test/new-meeting',
+      fallbackUrl: '${CALENDLY_MINI_APP_URL}',
+      promptKeywords: ['booked for', 'preferred time', 'booking calendar', 'ready below'],
+      buttonVerbs: ['book'],
+      buttonTerms: ['karts', 'escape', 'laser', 'vr arcade', 'arcade'],
+      suppressPrompts: ['your booking calendar is ready below!', 'use the calendar below[^.]*\\.', 'booking calendar is ready below'],
+    },
+  ],
+};
+
+// JSON or YAML config file → parsed object, or null when the file doesn't exist
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) return null;
+  const text = fs.readFileSync(file, 'utf8');
+  return /\.ya?ml$/i.test(file) ? YAML.parse(text) : JSON.parse(text);
+}
+
+function escapeRegExp(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Arrays or named sets → one flat list (lowercased unless they are regex sources)
+function keywordList(v, { lower = true } = {}) {
+  if (Array.isArray(v)) return v.flatMap((k) => keywordList(k, { lower }));
+  if (v && typeof v === 'object') return Object.values(v).flatMap((k) => keywordList(k, { lower }));
+  if (v === undefined || v === null || v === '') return [];
+  return [lower ? String(v).toLowerCase() : String(v)];
+}
+
+function compileBookingProvider(p) {
+  const domain = String(p?.domain || '').toLowerCase();
+  const urlSource = p?.urlPattern || (domain ? `https?://(?:www\\.)?${escapeRegExp(domain)}/[^\\s"'>)]+` : '');
+  if (!urlSource) throw new Error('domain or urlPattern required');
+  const label = String(p?.label || '📅 Book Now').slice(0, 64);
+  return {
+    id: String(p?.id || domain),
+    label,
+    labelText: label.replace(/^[^\p{L}\p{N}]+/u, '').trim() || label,
+    urlRe: new RegExp(urlSource, 'i'),
+    iframeRe: new RegExp(`<iframe[^>]*src=["'](${urlSource.replace(/\[\^\\s"'>\)\]\+$/, '[^"\']+')})["'][^>]*>`, 'i'),
+    tagRe: domain ? new RegExp(`<[^>]*${escapeRegExp(domain.split('.')[0])}[^>]*>`, 'gi') : null,
+    promptUrl: expandEnv(p?.promptUrl ?? p?.fallbackUrl).trim(),
+    fallbackUrl: expandEnv(p?.fallbackUrl).trim(),
+    promptKeywords: keywordList(p?.promptKeywords),
+    buttonVerbs: keywordList(p?.buttonVerbs ?? ['book']),
+    buttonTerms: keywordList(p?.buttonTerms),
+    suppressPrompts: keywordList(p?.suppressPrompts, { lower: false }).map((re) => new RegExp(re, 'gi')),
+    plainLink: !!p?.plainLink,
+  };
+}
+
+function loadBookingRules() {
+  let rules = DEFAULT_BOOKING_RULES;
+  let source = 'built-in';
+  try {
+    const parsed = readConfigFile(BOOKING_RULES_CONFIG);
+    if (parsed) {
+      rules = parsed;
+      source = BOOKING_RULES_CONFIG;
+    }
+  } catch (e) {
+    console.error(`[booking] invalid ${BOOKING_RULES_CONFIG}, using built-in rules:`, e?.message || e);
+  }
+  const providers = [];
+  for (const p of Array.isArray(rules?.providers) ? rules.providers : []) {
+    try {
+      providers.push(compileBookingProvider(p));
+    } catch (e) {
+      console.error(`[booking] skipping provider "${p?.id || '?'}":`, e?.message || e);
+    }
+  }
+  console.log(`[system] Booking providers (${source}): ${providers.map((p) => p.id).join(', ') || 'none'}`);
+  return { providers };
+}
 
-  // 2. Look for iframe src
-  const iframeSrcRe = /<iframe[^>]*src=["'](https?:\/\/calendly\.com\/[^"']+)["'][^>]*>/i;
-  match = text.match(iframeSrcRe);
-  if (match) return match[1].trim();
+const bookingRules = loadBookingRules();
 
+// First booking link in the text (direct URL or iframe src) → { provider, url }
+function findBookingLink(text) {
+  if (!text) return null;
+  for (const provider of bookingRules.providers) {
+    const direct = text.match(provider.urlRe);
+    if (direct) return { provider, url: direct[0].trim() };
+    const iframe = text.match(provider.iframeRe);
+    if (iframe) return { provider, url: iframe[1].trim() };
+  }
   return null;
 }
 
-// Markdown → Telegram HTML (bold/italic + hyperlinks ONLY)
+function extractBookingUrl(text) {
+  return findBookingLink(text)?.url || null;
+}
+
+function bookingProviderForUrl(url) {
+  return (url && bookingRules.providers.find((p) => p.urlRe.test(url))) || null;
+}
+
+// Booking buttons, synthetic or from Voiceflow, carry a provider's label text ("Book Now")
+function isBookingButtonName(name) {
+  return !!name && bookingRules.providers.some((p) => name.includes(p.labelText));
+}
+
+// Markdown → Telegram HTML. Telegram's HTML subset: b, i, u, s, tg-spoiler, a, code, pre, blockquote [expandable].
+// Input may be a completion that is still streaming, so unclosed fences run to the end of the text,
+// unmatched markers stay literal and the result always has balanced tags.
+// Note: `__x__` follows Telegram's own markdown and renders underlined, not bold as in CommonMark; model
+// output that uses it for bold shows up underlined (prompt for `**x**` instead).
+const MD_QUOTE_EXPAND_LINES = 4; // longer quotes collapse into <blockquote expandable>
+const MD_HR = '──────────';
+
+const MD_PH_BLOCK = '\u0001'; // fenced code block placeholder, on a line of its own
+const MD_PH_CODE = '\u0002'; // inline code placeholder
+const MD_PH_LINK = '\u0003'; // link placeholder (inline pass only)
+
+// Fenced code blocks and inline code are set aside before any clean-up so nothing rewrites their contents
+function extractMdCode(raw) {
+  const blocks = [];
+  const spans = [];
+  const out = [];
+  const lines = raw.split('\n');
+
+  for (let i = 0; i < lines.length; i++) {
+    const fence = /^\s*(`{3,}|~{3,})\s*([\w+#.-]*)/.exec(lines[i]);
+    if (!fence) {
+      out.push(lines[i].replace(/`([^`\n]+)`/g, (_, code) => `${MD_PH_CODE}${spans.push(code) - 1}${MD_PH_CODE}`));
+      continue;
+    }
+    const body = [];
+    const closeRe = new RegExp(`^\\s*${fence[1][0]}{${fence[1].length},}\\s*$`);
+    while (++i < lines.length && !closeRe.test(lines[i])) body.push(lines[i]);
+    blocks.push({ lang: fence[2], code: body.join('\n') });
+    out.push(`${MD_PH_BLOCK}${blocks.length - 1}${MD_PH_BLOCK}`);
+  }
+  return { text: out.join('\n'), blocks, spans };
+}
+
+function renderMdCodeBlock({ lang, code }) {
+  if (!code.trim()) return ''; // a fence that has only just opened
+  return lang ? `<pre><code class="language-${esc(lang)}">${esc(code)}</code></pre>` : `<pre>${esc(code)}</pre>`;
+}
+
+function restoreMdCode(s, spans, render) {
+  return s.replace(new RegExp(`${MD_PH_CODE}(\\d+)${MD_PH_CODE}`, 'g'), (_, n) => render(spans[n] ?? ''));
+}
+
+// Inline Markdown on one line of raw text → Telegram HTML
+function mdInline(line, spans) {
+  const links = [];
+  let s = line.replace(/(?<!!)\[([^\]]+?)\]\((https?:\/\/[^\s)]+)\)/g, (_, text, url) => {
+    links.push(`<a href="${esc(url).replace(/"/g, '%22')}">${esc(text)}</a>`);
+    return `${MD_PH_LINK}${links.length - 1}${MD_PH_LINK}`;
+  });
+
+  s = esc(s);
+  s = s.replace(/\*\*\*(?!\s)(.+?)(?<!\s)\*\*\*/g, '<b><i>$1</i></b>');
+  s = s.replace(/\*\*(?!\s)(.+?)(?<!\s)\*\*/g, '<b>$1</b>');
+  s = s.replace(/(^|[^\w])__(?!\s)(.+?)(?<!\s)__(?!\w)/g, '$1<u>$2</u>'); // Telegram flavour: __underline__
+  s = s.replace(/~~(?!\s)(.+?)(?<!\s)~~/g, '<s>$1</s>');
+  s = s.replace(/\|\|(?!\s)(.+?)(?<!\s)\|\|/g, '<tg-spoiler>$1</tg-spoiler>');
+  s = s.replace(/(^|[^*])\*(?![\s*])(.+?)(?<![\s*])\*(?!\*)/g, '$1<i>$2</i>');
+  s = s.replace(/(^|[^\w])_(?![\s_])(.+?)(?<![\s_])_(?!\w)/g, '$1<i>$2</i>');
+
+  s = s.replace(new RegExp(`${MD_PH_LINK}(\\d+)${MD_PH_LINK}`, 'g'), (_, n) => links[n] ?? '');
+  return restoreMdCode(s, spans, (code) => `<code>${esc(code)}</code>`);
+}
+
+// Table cell → plain text for the monospace grid
+function mdPlain(cell, spans) {
+  const s = cell
+    .replace(/(?<!!)\[([^\]]+?)\]\((https?:\/\/[^\s)]+)\)/g, '$1')
+    .replace(/(\*\*\*|\*\*|__|~~|\|\|)(?!\s)(.+?)(?<!\s)\1/g, '$2')
+    .replace(/(^|[^\w*])[*_](?![\s*_])(.+?)(?<![\s*_])[*_](?![\w*])/g, '$1$2');
+  return restoreMdCode(s, spans, (code) => code);
+}
+
+const MD_TABLE_SEPARATOR = /^\s*\|?\s*:?-{2,}:?\s*(\|\s*:?-{2,}:?\s*)*\|?\s*$/;
+
+function mdTableCells(row) {
+  return row.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map((c) => c.trim());
+}
+
+// Telegram has no tables: pad the columns and show them as preformatted text
+function renderMdTable(rows, spans) {
+  const grid = rows.filter((r) => !MD_TABLE_SEPARATOR.test(r)).map((r) => mdTableCells(r).map((c) => mdPlain(c, spans)));
+  const cols = Math.max(...grid.map((r) => r.length));
+  const width = (c) => [...c].length;
+  const widths = Array.from({ length: cols }, (_, i) => Math.max(...grid.map((r) => width(r[i] || ''))));
+  const line = (r) => widths.map((w, i) => (r[i] || '') + ' '.repeat(w - width(r[i] || ''))).join(' │ ').trimEnd();
+  const out = grid.map(line);
+  out.splice(1, 0, widths.map((w) => '─'.repeat(w)).join('─┼─'));
+  return `<pre>${esc(out.join('\n'))}</pre>`;
+}
+
+function renderMdBlocks(text, ctx, { inQuote = false } = {}) {
+  const lines = text.split('\n');
+  const out = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const block = new RegExp(`^\\s*${MD_PH_BLOCK}(\\d+)${MD_PH_BLOCK}\\s*$`).exec(line);
+    if (block) {
+      out.push(renderMdCodeBlock(ctx.blocks[block[1]]));
+      continue;
+    }
+
+    if (line.includes('|') && MD_TABLE_SEPARATOR.test(lines[i + 1] || '') && (lines[i + 1] || '').includes('|')) {
+      const rows = [line];
+      while (i + 1 < lines.length && lines[i + 1].includes('|')) rows.push(lines[++i]);
+      out.push(renderMdTable(rows, ctx.spans));
+      continue;
+    }
+
+    if (!inQuote && /^\s{0,3}>/.test(line)) {
+      const quoted = [];
+      while (i < lines.length && /^\s{0,3}>/.test(lines[i])) quoted.push(lines[i++].replace(/^\s{0,3}>\s?/, ''));
+      i -= 1;
+      const inner = renderMdBlocks(quoted.join('\n'), ctx, { inQuote: true }).trim();
+      if (inner) out.push(quoted.length > MD_QUOTE_EXPAND_LINES ? `<blockquote expandable>${inner}</blockquote>` : `<blockquote>${inner}</blockquote>`);
+      continue;
+    }
+
+    const heading = /^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/.exec(line);
+    if (heading) {
+      out.push(heading[1] ? `<b>${mdInline(heading[1], ctx.spans).replace(/<\/?b>/g, '')}</b>` : '');
+      continue;
+    }
+
+    if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+      out.push(MD_HR);
+      continue;
+    }
+
+    const item = /^(\s*)([-*+]|\d{1,3}[.)])\s+(.*)$/.exec(line);
+    if (item) {
+      const depth = Math.floor(item[1].replace(/\t/g, '  ').length / 2);
+      let marker = /\d/.test(item[2]) ? item[2] : depth ? '◦' : '•';
+      let body = item[3];
+      const task = /^\[([ xX])\]\s+(.*)$/.exec(body);
+      if (task) {
+        marker = task[1] === ' ' ? '☐' : '☑';
+        body = task[2];
+      }
+      out.push(`${'  '.repeat(depth)}${marker} ${mdInline(body, ctx.spans)}`);
+      continue;
+    }
+
+    out.push(mdInline(line, ctx.spans));
+  }
+
+  return out.join('\n');
+}
+
+// Reorders and closes tags so the markup nests properly (overlapping or unterminated emphasis, cut-off streams)
+function balanceHtmlTags(html) {
+  const stack = [];
+  const out = html.replace(/<(\/?)([a-z][\w-]*)[^>]*>/gi, (tag, closing, rawName) => {
+    const name = rawName.toLowerCase();
+    if (!closing) {
+      stack.push({ name, open: tag });
+      return tag;
+    }
+    const at = stack.map((t) => t.name).lastIndexOf(name);
+    if (at < 0) return '';
+    const above = stack.splice(at).slice(1);
+    stack.push(...above);
+    return above.map((t) => `</${t.name}>`).reverse().join('') + tag + above.map((t) => t.open).join('');
+  });
+  return dropEmptyTags(out + stack.map((t) => `</${t.name}>`).reverse().join(''));
+}
+
 function mdToHtml(input) {
   if (!input) return '';
 
-  let raw = unescapeVfHtmlArtifacts(input);
-  raw = normalizeSpacing(raw);
+  let raw = unescapeVfHtmlArtifacts(input).replace(/[\u0001-\u0003]/g, '');
+  const { text, blocks, spans } = extractMdCode(raw);
+  raw = normalizeSpacing(text);
   raw = htmlAnchorsToMarkdown(raw);
   raw = compactLabelUrlLines(raw);
   raw = linkifyBareUrlsToMarkdown(raw);
@@ -457,16 +1589,7 @@ function mdToHtml(input) {
   // 2. Full/Partial Photo labels (start with space/newline/word boundary)
   raw = raw.replace(/(^|[\s\n])Photo:\s*https?:\/\/[^\s]*/gi, '$1');
 
-  let s = esc(raw);
-
-  // [text](url) but NOT images ![alt](url)
-  s = s.replace(/(?<!!)\[([^\]]+?)\]\((https?:\/\/[^\s)]+)\)/g, (_, text, url) => {
-    return `<a href="${esc(url)}">${esc(text)}</a>`;
-  });
-
-  s = s.replace(/\*\*(.+?)\*\*/g, '<b>$1</b>');
-  s = s.replace(/(^|[^*])\*(?!\s)(.+?)\*(?!\*)/g, (_, pre, body) => `${pre}<i>${body}</i>`);
-  return s;
+  return balanceHtmlTags(renderMdBlocks(raw, { blocks, spans }));
 }
 
 function slateToText(slate) {
@@ -490,7 +1613,143 @@ function textOfTrace(t) {
 // =====================
 // Telegram safe send/edit helpers (NO duplicate messages)
 // =====================
-async function safeReplyHtml(ctx, html, extra = {}) {
+// Telegram rejects message text over 4096 characters. Measuring the HTML (markup included) keeps a margin.
+const TG_TEXT_LIMIT = 4096;
+const SPLIT_BOUNDARIES = ['paragraph', 'line', 'sentence', 'space', 'any'];
+
+// Tags reopened right before a cut point end up empty ("<b></b>")
+function dropEmptyTags(html) {
+  let prev;
+  do {
+    prev = html;
+    html = html.replace(/<([a-z][\w-]*)(?:\s[^>]*)?><\/\1>/gi, '');
+  } while (html !== prev);
+  return html;
+}
+
+/**
+ * Splits Telegram HTML into chunks of at most `limit` characters, cutting at the last paragraph break,
+ * else line break, sentence end or space (hard cut as a last resort). Tags open at a cut are closed at
+ * the end of the chunk and reopened at the start of the next, so every chunk parses on its own.
+ */
+function splitTelegramHtml(html, limit = TG_TEXT_LIMIT) {
+  const chunks = [];
+  const minCut = Math.floor(limit / 3); // don't leave a near-empty chunk just to hit a nicer boundary
+  let text = String(html || '');
+
+  while (text.length > limit) {
+    const stack = []; // open tags: { name, open }
+    const cuts = {}; // boundary kind -> { end, skip, stack }
+    const tokenRe = /<(\/?)([a-z][\w-]*)[^>]*>|&#?\w+;|[\s\S]/giuy;
+    let closeLen = 0;
+    let pos = 0;
+
+    while (pos < text.length) {
+      tokenRe.lastIndex = pos;
+      const m = tokenRe.exec(text);
+      const tok = m[0];
+      const end = pos + tok.length;
+      const isOpenTag = !!m[2] && !m[1];
+      if (m[2]) {
+        const name = m[2].toLowerCase();
+        if (m[1]) {
+          const at = stack.map((t) => t.name).lastIndexOf(name);
+          if (at >= 0) stack.splice(at);
+        } else if (!tok.endsWith('/>')) {
+          stack.push({ name, open: tok });
+        }
+        closeLen = stack.reduce((n, t) => n + t.name.length + 3, 0);
+      }
+      if (end + closeLen > limit) break;
+      pos = end;
+
+      const next = text[pos];
+      const record = (kind, skip) => { cuts[kind] = { end: pos, skip, stack: stack.slice() }; };
+      if (text.startsWith('\n\n', pos)) record('paragraph', /^\n+/.exec(text.slice(pos))[0].length);
+      if (next === '\n') record('line', 1);
+      if (/^[.!?…]$/.test(tok) && (next === ' ' || next === '\n')) record('sentence', next === ' ' ? 1 : 0);
+      if (next === ' ' && !isOpenTag) record('space', 1);
+      if (!isOpenTag) record('any', 0);
+    }
+
+    const kind = SPLIT_BOUNDARIES.find((k) => cuts[k] && cuts[k].end >= minCut) || (cuts.any ? 'any' : null);
+    if (!kind) {
+      // A single token longer than the limit; nothing sensible left to preserve
+      chunks.push(text.slice(0, limit));
+      text = text.slice(limit);
+      continue;
+    }
+
+    const cut = cuts[kind];
+    const closers = cut.stack.map((t) => `</${t.name}>`).reverse().join('');
+    const chunk = dropEmptyTags(text.slice(0, cut.end) + closers);
+    if (stripTags(chunk).trim()) chunks.push(chunk);
+    text = cut.stack.map((t) => t.open).join('') + text.slice(cut.end + cut.skip);
+  }
+
+  if (stripTags(text).trim()) chunks.push(chunks.length ? dropEmptyTags(text) : text);
+  return chunks;
+}
+
+// Markers whose pair must close inside the head of a cut, or the head renders them literally
+const MD_PAIRED_MARKERS = ['**', '__', '~~', '||'];
+
+function isMarkdownCutSafe(head) {
+  if ((head.match(/^\s*(`{3,}|~{3,})/gm) || []).length % 2) return false; // inside a code fence
+  const para = head.slice(head.lastIndexOf('\n\n') + 1);
+  if (MD_PAIRED_MARKERS.some((m) => para.split(m).length % 2 === 0)) return false;
+  if (para.replace(/```/g, '').split('`').length % 2 === 0) return false;
+  return para.split('[').length === para.split(']').length;
+}
+
+/**
+ * Streaming counterpart of splitTelegramHtml: a bubble that is still growing is cut in its raw markdown,
+ * because re-splitting the rendered HTML would move cuts already sent. Finished HTML goes through
+ * splitTelegramHtml (safeReplyHtml).
+ *
+ * Picks where to cut raw markdown so that the rendered head fits in `limit`, preferring the same
+ * boundaries as splitTelegramHtml. Cuts inside a code fence or an open `**`/`__`/`~~`/`||`/`` ` ``/link
+ * are skipped (hard cut as a last resort), so the head renders as it does in the full text.
+ * Returns the raw offset of the cut.
+ */
+function findMarkdownCut(text, limit = TG_TEXT_LIMIT) {
+  const minCut = Math.floor(limit / 3);
+  const fits = (end) => mdToHtml(text.slice(0, end).trim()).length <= limit;
+  const isBoundary = {
+    paragraph: (p) => text.startsWith('\n\n', p),
+    line: (p) => text[p] === '\n',
+    sentence: (p) => /[.!?…]/.test(text[p - 1]) && (text[p] === ' ' || text[p] === '\n'),
+    space: (p) => text[p] === ' ',
+    any: (p) => !/[\uD800-\uDBFF]/.test(text[p - 1]),
+  };
+
+  for (const kind of SPLIT_BOUNDARIES) {
+    const cands = [];
+    for (let p = kind === 'any' ? 1 : minCut; p < text.length; p++) {
+      if (isBoundary[kind](p) && (kind === 'any' || isMarkdownCutSafe(text.slice(0, p)))) cands.push(p);
+    }
+    // Longest head that still fits (rendered length grows with the head)
+    let lo = 0;
+    let hi = cands.length - 1;
+    let best = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (fits(cands[mid])) {
+        best = cands[mid];
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    if (best > 0) return best;
+  }
+  // Nothing above fit; a hard cut must still fit once escaped (`&` → `&amp;`)
+  let end = Math.min(limit, text.length);
+  while (end > 1 && !fits(end)) end = Math.floor(end / 2);
+  return end;
+}
+
+async function replyHtmlChunk(ctx, html, extra) {
   try {
     return await ctx.reply(html, { parse_mode: 'HTML', disable_web_page_preview: true, ...extra });
   } catch (e) {
@@ -502,6 +1761,21 @@ async function safeReplyHtml(ctx, html, extra = {}) {
   }
 }
 
+// Long HTML goes out as several messages; only the last one carries the keyboard. Returns the last message.
+async function safeReplyHtml(ctx, html, extra = {}) {
+  const chunks = splitTelegramHtml(html);
+  if (chunks.length <= 1) return replyHtmlChunk(ctx, html, extra);
+
+  const rest = { ...extra };
+  delete rest.reply_markup;
+  let msg = null;
+  for (let i = 0; i < chunks.length; i++) {
+    const isLast = i === chunks.length - 1;
+    msg = await replyHtmlChunk(ctx, chunks[i], isLast ? extra : rest);
+  }
+  return msg;
+}
+
 async function safeEditHtml(ctx, chatId, messageId, html, extra = {}) {
   try {
     await ctx.telegram.editMessageText(chatId, messageId, undefined, html, {
@@ -535,12 +1809,27 @@ async function safeEditHtml(ctx, chatId, messageId, html, extra = {}) {
 // Track last bot message (keyboard type)
 // keyboard: 'none' | 'choice' | 'card'
 // =====================
-const lastBotMsgByUser = new Map(); // userId -> { chatId, message_id, keyboard }
+const lastBotMsgByUser = new PersistentMap('lastbot', { ttlMs: 24 * 3600 * 1000 }); // userId -> { chatId, message_id, keyboard }
 
 // =====================
 // Completion streaming (single edited message)
 // =====================
-const completionStateByUser = new Map(); // userId -> state
+// userId -> state (timers and pending edits stay in-process; the rest survives restarts)
+const completionStateByUser = new PersistentMap('completion', {
+  ttlMs: 24 * 3600 * 1000,
+  serialize: (s) => ({
+    msg: s.msg ? { chat: { id: s.msg.chat.id }, message_id: s.msg.message_id } : null,
+    lastHtml: s.lastHtml,
+    accumulated: s.accumulated,
+    active: s.active,
+    hasContent: s.hasContent,
+    endedAt: s.endedAt,
+    sentImages: [...(s.sentImages || [])],
+    finalizedIdx: s.finalizedIdx,
+    sealedOffset: s.sealedOffset,
+  }),
+  deserialize: (v) => ({ ...defaultCompletionState(), ...v, sentImages: new Set(v?.sentImages || []) }),
+});
 
 function defaultCompletionState() {
   return {
@@ -555,6 +1844,7 @@ function defaultCompletionState() {
     endedAt: 0,
     sentImages: new Set(), // Track images sent during this streaming session
     finalizedIdx: -1,     // Track segments (text or image) already permanently handled
+    sealedOffset: 0,      // Raw characters of the current text segment already sent as their own (full) messages
   };
 }
 
@@ -575,15 +1865,38 @@ function mergeCompletion(prev, incoming) {
   return p + n;
 }
 
-async function completionSendOrUpdate(ctx, userId, fullTextRaw, { force = false } = {}) {
-  const s = completionStateByUser.get(userId) || defaultCompletionState();
+// The current bubble becomes a finished message holding `html`; the next update starts a new one
+async function sealCompletionChunk(ctx, userId, s, html) {
+  if (s.timer) {
+    clearTimeout(s.timer);
+    s.timer = null;
+  }
+  s.pendingHtml = '';
+
+  if (!s.msg) {
+    const msg = await safeReplyHtml(ctx, html);
+    if (msg) {
+      lastBotMsgByUser.set(userId, { chatId: msg.chat.id, message_id: msg.message_id, keyboard: 'none' });
+    }
+  } else {
+    await safeEditHtml(ctx, s.msg.chat.id, s.msg.message_id, html);
+  }
+
+  s.msg = null;
+  s.lastHtml = '';
+  completionStateByUser.set(userId, s);
+}
+
+// final: no text trace will follow to render a short bubble that was held back (the stream broke off)
+async function completionSendOrUpdate(ctx, userId, fullTextRaw, { force = false, final = false } = {}) {
+  const s = completionStateByUser.get(userId) || defaultCompletionState();
 
   // CRITICAL: Do NOT overwrite s.accumulated with the 'cleaned' text.
   // Keep the raw buffer for streaming, but clean the DISPLAY text.
   s.accumulated = String(fullTextRaw || '');
 
-  const calendlyUrl = extractCalendlyUrl(s.accumulated);
-  const displayableFullText = getProcessedTextForButtons(s.accumulated, calendlyUrl);
+  const bookingUrl = extractBookingUrl(s.accumulated);
+  const displayableFullText = getProcessedTextForButtons(s.accumulated, bookingUrl, tr(ctx, 'booking.prompt'));
 
   const segments = segmentContent(displayableFullText);
 
@@ -617,38 +1930,44 @@ async function completionSendOrUpdate(ctx, userId, fullTextRaw, { force = false
     }
 
     if (seg.type === 'text') {
-      const html = mdToHtml(seg.value.trim());
-      if (!html) continue;
+      // Past Telegram's length limit the head becomes its own message and streaming continues in the rest.
+      // Cuts are made in the raw text and only the unsealed rest is rendered, so a marker or fence
+      // closing later can't move text across a message already sent.
+      let rest = seg.value.slice(s.sealedOffset);
+      let html = mdToHtml(rest.trim());
+      while (html.length > TG_TEXT_LIMIT) {
+        const cut = findMarkdownCut(rest);
+        await sealCompletionChunk(ctx, userId, s, mdToHtml(rest.slice(0, cut).trim()));
+        s.sealedOffset += cut;
+        completionStateByUser.set(userId, s);
+        rest = rest.slice(cut);
+        html = mdToHtml(rest.trim());
+      }
 
       const now = Date.now();
       const MIN_EDIT_MS = 150;
 
       // If NOT the last segment, it's followed by an image. Send it immediately.
       if (!isLast) {
-        if (!s.msg) {
-          const msg = await safeReplyHtml(ctx, html);
-          if (msg) {
-            lastBotMsgByUser.set(userId, { chatId: msg.chat.id, message_id: msg.message_id, keyboard: 'none' });
-          }
-        } else {
-          await safeEditHtml(ctx, s.msg.chat.id, s.msg.message_id, html);
-        }
+        if (html) await sealCompletionChunk(ctx, userId, s, html);
 
-        s.msg = null;
-        s.lastHtml = '';
+        s.sealedOffset = 0;
         s.finalizedIdx = i; // MARK AS PERMANENT
         completionStateByUser.set(userId, s);
         continue;
       }
+      if (!html) continue;
 
       // HANDLE LAST SEGMENT (streaming)
       if (!s.msg) {
-        if (html.length < 5) {
+        // The tail of a split or broken-off answer can't wait for more text once the completion has ended
+        const holdBack = !(force && (s.sealedOffset || final));
+        if (holdBack && html.length < 5) {
           completionStateByUser.set(userId, s);
           return;
         }
-        const plainText = seg.value.trim();
-        if (!hasCompleteSentence(plainText) && plainText.length < 150) {
+        const plainText = rest.trim();
+        if (holdBack && !hasCompleteSentence(plainText) && plainText.length < 150) {
           completionStateByUser.set(userId, s);
           return;
         }
@@ -726,7 +2045,7 @@ async function handleTraceRealtime(ctx, trace, { skipRendering = false } = {}) {
   if (!trace || trace.type !== 'completion') return;
   if (!VF_COMPLETION_TO_TELEGRAM) return;
 
-  const userId = ctx.from.id;
+  const userId = sessionKey(ctx);
   const state = trace.payload?.state;
 
   const s = completionStateByUser.get(userId) || defaultCompletionState();
@@ -747,6 +2066,7 @@ async function handleTraceRealtime(ctx, trace, { skipRendering = false } = {}) {
     s.endedAt = 0;
     s.sentImages = new Set();
     s.finalizedIdx = -1;
+    s.sealedOffset = 0;
     completionStateByUser.set(userId, s);
 
     if (DEBUG_STREAM) console.log('[completion] start');
@@ -878,6 +2198,8 @@ function extractAndCacheFileId(url, kind, msg) {
     } else if (kind === 'photo' && Array.isArray(msg?.photo) && msg.photo.length) {
       const best = msg.photo[msg.photo.length - 1];
       rememberFileId(url, 'photo', best.file_id);
+    } else if (msg?.[kind]?.file_id) {
+      rememberFileId(url, kind, msg[kind].file_id); // voice / audio / video
     }
   } catch { }
 }
@@ -979,6 +2301,66 @@ async function sendMediaWithCaption(ctx, url, captionHtml, replyMarkup) {
   return await ctx.reply(direct);
 }
 
+const MEDIA_REPLY_METHODS = {
+  voice: 'replyWithVoice',
+  audio: 'replyWithAudio',
+  video: 'replyWithVideo',
+  document: 'replyWithDocument',
+};
+
+/**
+ * Sends a non-image file of a known kind (voice/audio/video/document): cached file_id, URL, upload,
+ * then falls back to a document and finally to the bare link.
+ */
+async function sendFileOfKind(ctx, kind, url, captionHtml, extra = {}) {
+  const direct = normalizeDirectUrl(url);
+  const key = cacheKeyFor(direct);
+  const opts = {
+    caption: captionHtml || undefined,
+    parse_mode: captionHtml ? 'HTML' : undefined,
+    ...extra,
+  };
+  const kinds = kind === 'document' ? ['document'] : [kind, 'document'];
+  if (DEBUG_MEDIA) console.log('[media] send file', { kind, direct });
+
+  const cached = mediaCache.get(key);
+  if (cached?.fileId && MEDIA_REPLY_METHODS[cached.kind]) {
+    try {
+      return await ctx[MEDIA_REPLY_METHODS[cached.kind]](cached.fileId, opts);
+    } catch (e) {
+      if (DEBUG_MEDIA) console.log('[media] cached file_id failed, refreshing:', e?.message);
+      mediaCache.delete(key);
+      saveMediaCacheSoon();
+    }
+  }
+
+  if (!MEDIA_FORCE_UPLOAD) {
+    for (const k of kinds) {
+      try {
+        const m = await ctx[MEDIA_REPLY_METHODS[k]](direct, opts);
+        extractAndCacheFileId(direct, k, m);
+        return m;
+      } catch { }
+    }
+  }
+
+  try {
+    const { buffer } = await downloadBuffer(direct);
+    const filename = decodeURIComponent(new URL(direct).pathname.split('/').pop() || '') || `${kind}`;
+    for (const k of kinds) {
+      try {
+        const m = await ctx[MEDIA_REPLY_METHODS[k]]({ source: buffer, filename }, opts);
+        extractAndCacheFileId(direct, k, m);
+        return m;
+      } catch { }
+    }
+  } catch (e) {
+    if (DEBUG_MEDIA) console.log('[media] file upload failed, last resort = URL', e?.message);
+  }
+
+  return await ctx.reply(direct);
+}
+
 // =====================
 // Gallery extraction (head + items + tail)
 // =====================
@@ -1036,6 +2418,101 @@ function parseGalleryBlocks(raw) {
   return { head, items, tail };
 }
 
+// =====================
+// Mini app routing
+// =====================
+// Which button URLs open which mini app. Each route (first match wins):
+//   id          name for `telegram.openMiniApp` / `setChatMenuButton` ({ app: id })
+//   url         web_app URL; `${ENV_VAR}` is expanded, routes that end up empty are skipped
+//   match       regexes (case-insensitive) tested against a button's URL
+//   label       synthetic button label added when `textMatch` hits the message text
+//   textMatch   regexes tested against message text
+//   passUrlAs   query parameter that carries the original button URL to the mini app
+//   passParams  query parameters copied from the button URL ('*' for all)
+// Without a config file the built-in table below reproduces the env var setup.
+const DEFAULT_MINI_APP_ROUTES = [
+  { id: 'calendly', url: '${CALENDLY_MINI_APP_URL}', match: ['calendly\\.com'], passUrlAs: 'url' },
+  { id: 'marketplace', url: '${MARKETPLACE_MINI_APP_URL}', match: ['marketplace', 'dutyfree'], label: '🛍️ Open Marketplace', textMatch: ['marketplace\\.html'] },
+  { id: 'reservations', url: '${RESERVATIONS_MINI_APP_URL}', match: ['reservations'], label: '🍴 Book Dining', textMatch: ['reservations\\.html'] },
+];
+
+function expandEnv(value) {
+  return String(value ?? '').replace(/\$\{(\w+)\}/g, (_, name) => process.env[name] || '');
+}
+
+function compileMiniAppRoute(r) {
+  const regexes = (v) => (Array.isArray(v) ? v : v ? [v] : []).map((p) => new RegExp(p, 'i'));
+  return {
+    id: String(r?.id || ''),
+    url: expandEnv(r?.url).trim(),
+    match: regexes(r?.match),
+    label: r?.label ? String(r.label).slice(0, 64) : '',
+    textMatch: regexes(r?.textMatch),
+    passUrlAs: r?.passUrlAs || '',
+    passParams: r?.passParams === '*' ? '*' : Array.isArray(r?.passParams) ? r.passParams.map(String) : [],
+  };
+}
+
+function loadMiniAppRoutes() {
+  let routes = DEFAULT_MINI_APP_ROUTES;
+  let source = 'built-in';
+  try {
+    const parsed = readConfigFile(MINI_APPS_CONFIG);
+    if (parsed) {
+      routes = Array.isArray(parsed) ? parsed : Array.isArray(parsed?.apps) ? parsed.apps : [];
+      source = MINI_APPS_CONFIG;
+    }
+  } catch (e) {
+    console.error(`[mini-apps] invalid ${MINI_APPS_CONFIG}, using built-in routes:`, e?.message || e);
+  }
+  const compiled = [];
+  for (const r of routes) {
+    try {
+      const route = compileMiniAppRoute(r);
+      if (route.url) compiled.push(route);
+    } catch (e) {
+      console.error(`[mini-apps] skipping route "${r?.id || '?'}":`, e?.message || e);
+    }
+  }
+  console.log(`[system] Mini app routes (${source}): ${compiled.map((r) => r.id || r.url).join(', ') || 'none'}`);
+  return compiled;
+}
+
+const miniAppRoutes = loadMiniAppRoutes();
+
+function miniAppById(id) {
+  return id ? miniAppRoutes.find((r) => r.id === id) || null : null;
+}
+
+function buildMiniAppUrl(route, sourceUrl) {
+  let target;
+  try {
+    target = new URL(route.url);
+  } catch {
+    return route.url;
+  }
+  if (route.passParams.length || route.passParams === '*') {
+    try {
+      for (const [k, v] of new URL(sourceUrl).searchParams) {
+        if (route.passParams === '*' || route.passParams.includes(k)) target.searchParams.set(k, v);
+      }
+    } catch { }
+  }
+  if (route.passUrlAs) target.searchParams.set(route.passUrlAs, sourceUrl);
+  return target.toString();
+}
+
+// Button URL → web_app URL, or '' when it should stay a plain link
+function miniAppUrlFor(url) {
+  if (!url) return '';
+  for (const route of miniAppRoutes) {
+    // Links that already point at the hosted mini app open as-is
+    if (url.includes(route.url.split('?')[0])) return url;
+    if (route.match.some((re) => re.test(url))) return buildMiniAppUrl(route, url);
+  }
+  return '';
+}
+
 // =====================
 // Buttons
 // =====================
@@ -1146,21 +2623,10 @@ function makeKeyboard(userId, buttons) {
 
     let buttonObj;
     if (url) {
-      const isCalendlySite = url.includes('calendly.com');
-      const isGitHubMiniApp = CALENDLY_MINI_APP_URL && url.includes(CALENDLY_MINI_APP_URL.split('?')[0]);
-
-      if (CALENDLY_MINI_APP_URL && (isCalendlySite || isGitHubMiniApp)) {
-        // Swap for Mini App / Ensure web_app type
-        let webAppUrl = url;
-        if (isCalendlySite && !isGitHubMiniApp) {
-          webAppUrl = `${CALENDLY_MINI_APP_URL}${CALENDLY_MINI_APP_URL.includes('?') ? '&' : '?'}url=${encodeURIComponent(url)}`;
-        }
+      const webAppUrl = miniAppUrlFor(url);
+      if (webAppUrl) {
         if (DEBUG_BUTTONS) console.log(`[buttons] Mini App Swap: "${text}" -> ${webAppUrl}`);
         buttonObj = { text, web_app: { url: webAppUrl } };
-      } else if (MARKETPLACE_MINI_APP_URL && (url.toLowerCase().includes('marketplace') || url.toLowerCase().includes('dutyfree'))) {
-        buttonObj = { text, web_app: { url: MARKETPLACE_MINI_APP_URL } };
-      } else if (RESERVATIONS_MINI_APP_URL && url.toLowerCase().includes('reservations')) {
-        buttonObj = { text, web_app: { url: RESERVATIONS_MINI_APP_URL } };
       } else {
         buttonObj = { text, url };
       }
@@ -1206,20 +2672,10 @@ function makeCardV2Keyboard(userId, buttons = []) {
 
     let buttonObj;
     if (url) {
-      const isCalendlySite = url.includes('calendly.com');
-      const isGitHubMiniApp = CALENDLY_MINI_APP_URL && url.includes(CALENDLY_MINI_APP_URL.split('?')[0]);
-
-      if (CALENDLY_MINI_APP_URL && (isCalendlySite || isGitHubMiniApp)) {
-        let webAppUrl = url;
-        if (isCalendlySite && !isGitHubMiniApp) {
-          webAppUrl = `${CALENDLY_MINI_APP_URL}${CALENDLY_MINI_APP_URL.includes('?') ? '&' : '?'}url=${encodeURIComponent(url)}`;
-        }
+      const webAppUrl = miniAppUrlFor(url);
+      if (webAppUrl) {
         if (DEBUG_BUTTONS) console.log(`[buttons] CardV2 Mini App Swap: "${label}" -> ${webAppUrl}`);
         buttonObj = { text: label, web_app: { url: webAppUrl } };
-      } else if (MARKETPLACE_MINI_APP_URL && (url.toLowerCase().includes('marketplace') || url.toLowerCase().includes('dutyfree'))) {
-        buttonObj = { text: label, web_app: { url: MARKETPLACE_MINI_APP_URL } };
-      } else if (RESERVATIONS_MINI_APP_URL && url.toLowerCase().includes('reservations')) {
-        buttonObj = { text: label, web_app: { url: RESERVATIONS_MINI_APP_URL } };
       } else {
         buttonObj = { text: label, url };
       }
@@ -1246,6 +2702,108 @@ function makeCardV2Keyboard(userId, buttons = []) {
   return rows;
 }
 
+// =====================
+// Reply keyboards (persistent, contact / location requests)
+// =====================
+// A choice renders as a reply keyboard when one of its buttons asks for it:
+//  - label tags: "[contact] Share my phone", "[location] Send my location", "[reply] Yes"
+//  - button metadata: request.payload.telegram = { keyboard: 'reply', request: 'contact' | 'location' }
+// Telegram can't mix reply and inline buttons in one message, so a single tagged button turns the whole choice.
+// Private chats only; groups keep inline buttons.
+const REPLY_TAG_RE = /^\s*\[(reply|contact|location)\]\s*/i;
+const replyKeyboardByUser = new PersistentMap('replykb', { ttlMs: 7 * 24 * 3600 * 1000 }); // sessionKey -> { buttons: [{ label, text, request, share }] }
+
+function replyButtonMeta(b) {
+  const meta = b?.request?.payload?.telegram || {};
+  const tag = String(b?.name ?? '').match(REPLY_TAG_RE)?.[1]?.toLowerCase();
+  let share = null;
+  if (meta.request === 'contact' || meta.request === 'location') share = meta.request;
+  else if (tag === 'contact' || tag === 'location') share = tag;
+  return { reply: meta.keyboard === 'reply' || !!tag || !!share, share };
+}
+
+function isReplyKeyboardChoice(ctx, buttons) {
+  if (isGroupChat(ctx) || !Array.isArray(buttons)) return false;
+  return buttons.some((b) => replyButtonMeta(b).reply);
+}
+
+// Taps on a reply keyboard arrive as plain text, so remember what each label stands for
+function makeReplyKeyboard(ctx, buttons) {
+  const key = sessionKey(ctx);
+  const entries = [];
+  const rows = [];
+  let currentRow = [];
+
+  for (const b of buttons) {
+    const { share } = replyButtonMeta(b);
+    const label = btnLabel(b).replace(REPLY_TAG_RE, '').trim() || 'Option';
+
+    let buttonObj;
+    if (share === 'contact') buttonObj = { text: label, request_contact: true };
+    else if (share === 'location') buttonObj = { text: label, request_location: true };
+    else if (extractUrlFromButton(b)) {
+      // Mini apps may live on a reply keyboard (that is also what lets them use sendData); plain links may not
+      const inline = makeKeyboard(key, [b])[0]?.[0];
+      if (!inline?.web_app) {
+        if (DEBUG_BUTTONS) console.log(`[reply-kb] skipping link button "${label}"`);
+        continue;
+      }
+      buttonObj = { text: label, web_app: inline.web_app };
+    } else {
+      buttonObj = { text: label };
+      entries.push({ label, text: btnPayload(b).replace(REPLY_TAG_RE, ''), request: b?.request?.type ? b.request : null, share: null });
+    }
+    if (share) entries.push({ label, text: '', request: b?.request?.type ? b.request : null, share });
+
+    currentRow.push(buttonObj);
+    if (currentRow.length === 2) {
+      rows.push(currentRow);
+      currentRow = [];
+    }
+  }
+  if (currentRow.length) rows.push(currentRow);
+  if (!rows.length) return null;
+
+  replyKeyboardByUser.set(key, { buttons: entries });
+  // A keyboard that only asks to share something has done its job after one tap
+  const shareOnly = entries.length > 0 && entries.every((e) => e.share);
+  if (DEBUG_BUTTONS) console.log('[reply-kb] built:', JSON.stringify(rows.map((r) => r.map((b) => b.text))));
+  return { keyboard: rows, resize_keyboard: true, is_persistent: !shareOnly, one_time_keyboard: shareOnly };
+}
+
+function replyKeyboardTap(key, text) {
+  const label = String(text || '').trim();
+  return replyKeyboardByUser.get(key)?.buttons?.find((e) => !e.share && e.label === label) || null;
+}
+
+// Telegram only removes a reply keyboard via a message; send one and delete it right away
+async function removeReplyKeyboard(ctx) {
+  const key = sessionKey(ctx);
+  if (!replyKeyboardByUser.get(key)) return;
+  replyKeyboardByUser.delete(key);
+  try {
+    const msg = await ctx.reply('…', { reply_markup: { remove_keyboard: true }, disable_notification: true });
+    if (msg) await ctx.telegram.deleteMessage(msg.chat.id, msg.message_id).catch(() => { });
+  } catch (e) {
+    if (DEBUG_BUTTONS) console.log('[reply-kb] remove failed:', e?.message || e);
+  }
+}
+
+// Shared contact/location → the request of the button that asked for it (data lands in VF's last_event),
+// or a `telegram_contact` / `telegram_location` event when it was shared unprompted
+function sharedToVoiceflowRequest(ctx, kind, data) {
+  const key = sessionKey(ctx);
+  const kb = replyKeyboardByUser.get(key);
+  const btn = kb?.buttons?.find((e) => e.share === kind);
+  if (kb?.buttons?.every((e) => e.share)) replyKeyboardByUser.delete(key); // one-time keyboard is gone
+
+  if (btn?.request) {
+    const base = btn.request.payload && typeof btn.request.payload === 'object' ? btn.request.payload : {};
+    return { ...btn.request, payload: { ...base, [kind]: data } };
+  }
+  return { type: 'event', payload: { event: { name: `telegram_${kind}`, ...data } } };
+}
+
 // =====================
 // Typing…
 // =====================
@@ -1263,6 +2821,99 @@ function keepTyping(ctx) {
   };
 }
 
+// =====================
+// Text-to-speech (voice replies)
+// =====================
+// Providers turn text into OGG/Opus (what replyWithVoice expects). Register more with registerTtsProvider().
+const ttsProviders = new Map();
+
+function registerTtsProvider(name, provider) {
+  ttsProviders.set(name, provider);
+}
+
+registerTtsProvider('openai', {
+  available: () => !!openai,
+  async synthesize(text, { voice }) {
+    const res = await openai.audio.speech.create({ model: TTS_MODEL, voice, input: text, response_format: 'opus' });
+    return Buffer.from(await res.arrayBuffer());
+  },
+});
+
+registerTtsProvider('http', {
+  available: () => !!TTS_HTTP_URL,
+  async synthesize(text, { voice }) {
+    const res = await api.post(TTS_HTTP_URL, { text, voice }, { responseType: 'arraybuffer' });
+    return Buffer.from(res.data);
+  },
+});
+
+const ttsPrefByUser = new PersistentMap('tts-pref'); // userId -> 'on' | 'off' | 'voice'
+const ttsCache = new PersistentMap('tts-cache', { ttlMs: 30 * 24 * 3600 * 1000 }); // sha256(provider|voice|text) -> file_id
+
+function ttsModeFor(userId) {
+  const pref = ttsPrefByUser.get(userId);
+  if (pref === 'on') return 'always';
+  if (pref === 'off') return 'off';
+  if (pref === 'voice') return 'voice';
+  return TTS_MODE;
+}
+
+function shouldReplyWithVoice(ctx) {
+  const mode = ttsModeFor(ctx.from.id);
+  if (mode === 'always') return true;
+  return mode === 'voice' && !!ctx.state?.viaVoice;
+}
+
+function plainTextForSpeech(raw) {
+  return stripTags(mdToHtml(raw))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+    .replace(/https?:\/\/\S+/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+async function sendVoiceReply(ctx, raw) {
+  if (!shouldReplyWithVoice(ctx)) return null;
+
+  const provider = ttsProviders.get(TTS_PROVIDER);
+  if (!provider?.available()) {
+    if (DEBUG_TTS) console.log(`[tts] provider "${TTS_PROVIDER}" unavailable`);
+    return null;
+  }
+
+  const text = plainTextForSpeech(raw);
+  if (!text) return null;
+  if (text.length > TTS_MAX_CHARS) {
+    if (DEBUG_TTS) console.log(`[tts] skipped: ${text.length} chars > TTS_MAX_CHARS (${TTS_MAX_CHARS})`);
+    return null;
+  }
+
+  const key = createHash('sha256').update(`${TTS_PROVIDER}|${TTS_VOICE}|${text}`).digest('hex');
+  const cachedFileId = await ttsCache.load(key);
+
+  try {
+    if (cachedFileId) {
+      try {
+        return await ctx.replyWithVoice(cachedFileId);
+      } catch (e) {
+        if (DEBUG_TTS) console.log('[tts] cached file_id failed, re-synthesizing:', e?.message);
+        ttsCache.delete(key);
+      }
+    }
+
+    const audio = await provider.synthesize(text, { voice: TTS_VOICE });
+    const msg = await ctx.replyWithVoice({ source: audio, filename: 'reply.ogg' });
+    if (msg?.voice?.file_id) ttsCache.set(key, msg.voice.file_id);
+    if (DEBUG_TTS) console.log(`[tts] sent ${audio.length} bytes for ${text.length} chars`);
+    return msg;
+  } catch (err) {
+    console.warn('[tts] synthesis failed:', err?.response?.data?.error?.message || err?.message);
+    return null;
+  }
+}
+
 // =====================
 // Rendering
 // =====================
@@ -1275,15 +2926,15 @@ async function sendChoiceAsNewMessage(ctx, inlineKeyboard) {
 
   // Check if any button contains "Book Now" to determine the appropriate message
   const hasBookNowButton = inlineKeyboard.some(row =>
-    row.some(btn => btn.text && btn.text.includes('Book Now'))
+    row.some(btn => isBookingButtonName(btn.text))
   );
 
   const message = hasBookNowButton
-    ? 'Use the "Book Now" button to complete the booking:'
-    : 'Select an option:';
+    ? tr(ctx, 'choice.book_now_prompt')
+    : tr(ctx, 'choice.prompt');
 
   const msg = await ctx.reply(message, { reply_markup: { inline_keyboard: inlineKeyboard } });
-  if (msg) lastBotMsgByUser.set(ctx.from.id, { chatId: msg.chat.id, message_id: msg.message_id, keyboard: 'choice' });
+  if (msg) lastBotMsgByUser.set(sessionKey(ctx), { chatId: msg.chat.id, message_id: msg.message_id, keyboard: 'choice' });
   return msg;
 }
 
@@ -1305,7 +2956,7 @@ async function attachChoiceKeyboard(ctx, target, inlineKeyboard) {
         inline_keyboard: inlineKeyboard,
       });
       const ref = { chatId: target.chatId, message_id: target.message_id, keyboard: 'choice' };
-      lastBotMsgByUser.set(ctx.from.id, ref);
+      lastBotMsgByUser.set(sessionKey(ctx), ref);
       return ref;
     } catch (e) {
       if (DEBUG_BUTTONS) console.log('[choice-edit] failed:', e?.message || e);
@@ -1356,35 +3007,28 @@ function getSyntheticButtons(raw, sourceName = 'unspecified') {
   const buttons = [];
   const low = raw.toLowerCase();
 
-  // 1. Calendly (explicit link or prompt keywords)
-  let calendlyUrl = extractCalendlyUrl(raw);
-
-  // Keywords that indicate a booking prompt where a button should appear
-  const bookingPromptKeywords = ['booked for', 'preferred time', 'booking calendar', 'ready below'];
-  const isBookingPrompt = bookingPromptKeywords.some(k => low.includes(k));
+  // 1. Booking providers (explicit link or prompt keywords)
+  let { provider, url: bookingUrl } = findBookingLink(raw) || {};
 
-  if (isBookingPrompt && !calendlyUrl) {
-    if (DEBUG_BUTTONS) console.log(`[buttons][${sourceName}] Detected booking prompt keywords. Using fallback Calendly URL.`);
-    // Fallback to a placeholder or global link if we know it's a booking prompt but link is missing
-    // We'll use the default test link if no better info exists
-    calendlyUrl = 'https://calendly.com/goldenhorizon-test/new-meeting';
+  if (!bookingUrl) {
+    // Keywords that indicate a booking prompt where a button should appear; the provider's prompt link stands in
+    provider = bookingRules.providers.find((p) => p.promptUrl && p.promptKeywords.some((k) => low.includes(k)));
+    if (provider) {
+      if (DEBUG_BUTTONS) console.log(`[buttons][${sourceName}] Detected ${provider.id} booking prompt keywords. Using prompt URL.`);
+      bookingUrl = provider.promptUrl;
+    }
   }
 
-  if (calendlyUrl && CALENDLY_MINI_APP_URL) {
-    if (DEBUG_BUTTONS) console.log(`[buttons][${sourceName}] Found Calendly trigger (link or prompt).`);
-    buttons.push({ name: '📅 Book Now', request: { url: calendlyUrl } });
+  if (bookingUrl && (miniAppUrlFor(bookingUrl) || provider.plainLink)) {
+    if (DEBUG_BUTTONS) console.log(`[buttons][${sourceName}] Found ${provider.id} trigger (link or prompt).`);
+    buttons.push({ name: provider.label, request: { url: bookingUrl } });
   }
 
-  // 2. Mini App link detection (Reservations & Marketplace)
-  const miniConfigs = [
-    { url: RESERVATIONS_MINI_APP_URL, label: '🍴 Book Dining', pattern: /reservations\.html/i },
-    { url: MARKETPLACE_MINI_APP_URL, label: '🛍️ Open Marketplace', pattern: /marketplace\.html/i }
-  ];
-
-  for (const config of miniConfigs) {
-    if (config.url && config.pattern.test(raw)) {
-      if (DEBUG_BUTTONS) console.log(`[buttons][${sourceName}] Found Mini App link pattern:`, config.label);
-      buttons.push({ name: config.label, request: { url: config.url } });
+  // 2. Mini App link detection (routes with a label and text patterns)
+  for (const route of miniAppRoutes) {
+    if (route.label && route.textMatch.some((re) => re.test(raw))) {
+      if (DEBUG_BUTTONS) console.log(`[buttons][${sourceName}] Found Mini App link pattern:`, route.label);
+      buttons.push({ name: route.label, request: { url: route.url } });
     }
   }
   return buttons;
@@ -1393,47 +3037,44 @@ function getSyntheticButtons(raw, sourceName = 'unspecified') {
 /**
  * Cleans the text (removes link/iframe) and provides a prompt if the link was the only content.
  */
-function getProcessedTextForButtons(raw, calendlyUrl) {
+function getProcessedTextForButtons(raw, bookingUrl, prompt = LOCALES.en['booking.prompt']) {
   // First, ensure we are working with unescaped HTML so our regexes catch everything
   let text = unescapeVfHtmlArtifacts(raw || '');
 
-  // 1. NUCLEAR SUPPRESSION: If we have a Calendly link OR an iframe start,
+  // 1. NUCLEAR SUPPRESSION: If we have a booking link OR an iframe start,
   // we truncate EVERYTHING from the first "<iframe" to the end.
   const iframeStartIdx = text.toLowerCase().indexOf('<iframe');
 
-  if (iframeStartIdx !== -1 && (calendlyUrl || text.toLowerCase().includes('calendly.com'))) {
+  if (iframeStartIdx !== -1 && (bookingUrl || bookingRules.providers.some((p) => p.urlRe.test(text)))) {
     if (DEBUG_BUTTONS) console.log(`[buttons] Nuclear Suppress: Found iframe at index ${iframeStartIdx}. Truncating remainder.`);
     text = text.substring(0, iframeStartIdx);
   }
 
   // 2. Final safety pass for any remaining partial tags
-  const anyCalendlyTagRe = /<[^>]*calendly[^>]*>/gi;
-  text = text.replace(anyCalendlyTagRe, ' '); // Use space to prevent squishing words
+  for (const p of bookingRules.providers) {
+    if (p.tagRe) text = text.replace(p.tagRe, ' '); // Use space to prevent squishing words
+  }
 
   // 3. Clean up direct URL leftovers
-  if (calendlyUrl) {
-    const escapedUrl = calendlyUrl.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    const urlRe = new RegExp(escapedUrl, 'gi');
+  if (bookingUrl) {
+    const urlRe = new RegExp(escapeRegExp(bookingUrl), 'gi');
     text = text.replace(urlRe, ' ');
   }
 
   // 4. SUPPRESS BOOKING PROMPTS
-  const promptsToRemove = [
-    /your booking calendar is ready below!/gi,
-    /use the calendar below[^.]*\./gi,
-    /booking calendar is ready below/gi
-  ];
-  for (const p of promptsToRemove) text = text.replace(p, ' ');
+  for (const provider of bookingRules.providers) {
+    for (const p of provider.suppressPrompts) text = text.replace(p, ' ');
+  }
 
   // Final cleanup of whitespace and empty artifacts
   // DO NOT replace double newlines with single ones. Preserve the paragraph breaks.
   text = text.replace(/\[\]\(\)/g, '').replace(/<a[^>]*><\/a>/gi, '').replace(/[ \t]+$/gm, '').trim();
 
   // 5. Duplicate/Prompt handling
-  const PROMPT = 'Press the Book Now button to complete the booking';
-  if (!text.trim() && calendlyUrl) {
+  const PROMPT = prompt;
+  if (!text.trim() && bookingUrl) {
     text = PROMPT;
-  } else if (text.trim() && calendlyUrl && !text.includes(PROMPT)) {
+  } else if (text.trim() && bookingUrl && !text.includes(PROMPT)) {
     // Append it if not present, with a double newline for spacing
     text = text.trim() + '\n\n' + PROMPT;
   }
@@ -1447,10 +3088,14 @@ async function renderTextChoiceGalleryAndButtonsLast(ctx, raw, maybeChoice, exte
 
   // Unescape before extraction or processing to ensure we catch encoded artifacts
   const cleanRaw = unescapeVfHtmlArtifacts(raw || '');
-  const calendlyUrl = extractCalendlyUrl(cleanRaw);
-  const textToDisplay = getProcessedTextForButtons(cleanRaw, calendlyUrl);
+  const bookingUrl = extractBookingUrl(cleanRaw);
+  const textToDisplay = getProcessedTextForButtons(cleanRaw, bookingUrl, tr(ctx, 'booking.prompt'));
 
-  const buttons = maybeChoice?.payload?.buttons ? [...maybeChoice.payload.buttons] : [];
+  const replyChoice = isReplyKeyboardChoice(ctx, maybeChoice?.payload?.buttons);
+  const replyKb = replyChoice ? makeReplyKeyboard(ctx, maybeChoice.payload.buttons) : null;
+  let replyAttached = false;
+
+  const buttons = maybeChoice?.payload?.buttons && !replyChoice ? [...maybeChoice.payload.buttons] : [];
   const syn = [...externalButtons, ...getSyntheticButtons(raw, 'text-trace')];
 
   if (DEBUG_BUTTONS && syn.length) console.log('[buttons] Total synthetic to merge:', syn.map(b => b.name));
@@ -1476,7 +3121,7 @@ async function renderTextChoiceGalleryAndButtonsLast(ctx, raw, maybeChoice, exte
   // PREPARE THE KEYBOARD
   let kb = null;
   if (buttons.length) {
-    const rows = makeKeyboard(ctx.from.id, buttons);
+    const rows = makeKeyboard(sessionKey(ctx), buttons);
     if (rows.length) kb = { inline_keyboard: rows };
   }
 
@@ -1490,9 +3135,11 @@ async function renderTextChoiceGalleryAndButtonsLast(ctx, raw, maybeChoice, exte
         if (!html) continue;
         const isLast = i === segments.length - 1;
         const attachKb = isLast && kb;
-        lastMsg = await safeReplyHtml(ctx, html, attachKb ? { reply_markup: kb } : {});
+        const attachReply = isLast && !kb && replyKb;
+        lastMsg = await safeReplyHtml(ctx, html, attachKb ? { reply_markup: kb } : attachReply ? { reply_markup: replyKb } : {});
+        if (lastMsg && attachReply) replyAttached = true;
         if (lastMsg) {
-          lastBotMsgByUser.set(ctx.from.id, {
+          lastBotMsgByUser.set(sessionKey(ctx), {
             chatId: lastMsg.chat.id,
             message_id: lastMsg.message_id,
             keyboard: attachKb ? 'choice' : 'none'
@@ -1517,12 +3164,12 @@ async function renderTextChoiceGalleryAndButtonsLast(ctx, raw, maybeChoice, exte
           lastMsg = groupMsgs[groupMsgs.length - 1];
           // If kb needs to be attached to a group, send a follow-up
           if (attachKb) {
-            lastMsg = await ctx.reply('Choose an option:', { reply_markup: kb });
+            lastMsg = await ctx.reply(tr(ctx, 'choice.group_prompt'), { reply_markup: kb });
           }
         }
 
         if (lastMsg) {
-          lastBotMsgByUser.set(ctx.from.id, {
+          lastBotMsgByUser.set(sessionKey(ctx), {
             chatId: lastMsg.chat.id,
             message_id: lastMsg.message_id,
             keyboard: attachKb ? 'choice' : 'none'
@@ -1533,9 +3180,11 @@ async function renderTextChoiceGalleryAndButtonsLast(ctx, raw, maybeChoice, exte
     }
   } else if (textToDisplay.trim()) {
     // Fallback for non-segmented text
-    lastMsg = await safeReplyHtml(ctx, mdToHtml(textToDisplay), kb ? { reply_markup: kb } : {});
+    const markup = kb || replyKb;
+    lastMsg = await safeReplyHtml(ctx, mdToHtml(textToDisplay), markup ? { reply_markup: markup } : {});
+    if (lastMsg && !kb && replyKb) replyAttached = true;
     if (lastMsg) {
-      lastBotMsgByUser.set(ctx.from.id, {
+      lastBotMsgByUser.set(sessionKey(ctx), {
         chatId: lastMsg.chat.id,
         message_id: lastMsg.message_id,
         keyboard: kb ? 'choice' : 'none'
@@ -1549,13 +3198,18 @@ async function renderTextChoiceGalleryAndButtonsLast(ctx, raw, maybeChoice, exte
   if (kb && !consumed) {
     const target = lastMsg
       ? { chatId: lastMsg.chat.id, message_id: lastMsg.message_id, keyboard: 'none' }
-      : lastBotMsgByUser.get(ctx.from.id) || null;
+      : lastBotMsgByUser.get(sessionKey(ctx)) || null;
 
     await attachChoiceKeyboard(ctx, target, kb.inline_keyboard);
   }
 
+  // Reply keyboards can't be edited onto an existing message; ship them with a prompt instead
+  if (replyKb && !replyAttached) {
+    await ctx.reply(tr(ctx, 'choice.prompt'), { reply_markup: replyKb });
+  }
+
   // CRITICAL FIX: Only set consumed = true if we actually "stole" the buttons from a real choice trace
-  if (kb && maybeChoice) {
+  if ((kb || replyChoice) && maybeChoice) {
     consumed = true;
   }
 
@@ -1567,40 +3221,248 @@ async function renderTextChoiceGalleryAndButtonsLast(ctx, raw, maybeChoice, exte
 }
 
 /**
- * Transforms "Book [Activity]" buttons into direct Calendly mini-app openers 
- * if a Calendly URL is available in the response context.
+ * Transforms "Book [Activity]" buttons into booking mini-app openers, using the booking link found
+ * in the response when it belongs to the same provider, otherwise the provider's fallback link
+ * (CALENDLY_MINI_APP_URL for the built-in rules). With neither, the button is left as it is.
  */
-function applyCalendlyToButtons(buttons, calendlyUrl) {
+function applyBookingToButtons(buttons, bookingUrl) {
   if (!Array.isArray(buttons)) return;
-  // If no URL was found in the response, use the global env URL as a fallback
-  const fallbackUrl = calendlyUrl || CALENDLY_MINI_APP_URL || '';
-  if (!fallbackUrl) return;
-
-  const terms = ['karts', 'escape', 'laser', 'vr arcade', 'arcade'];
+  const contextProvider = bookingProviderForUrl(bookingUrl);
 
-  if (DEBUG_BUTTONS) console.log(`[buttons] applyCalendlyToButtons starting. Target URL: ${fallbackUrl} (Source: ${calendlyUrl ? 'Context' : 'Fallback'})`);
+  if (DEBUG_BUTTONS) console.log(`[buttons] applyBookingToButtons starting. Context URL: ${bookingUrl || 'none'}`);
 
   for (const b of buttons) {
     const rawName = b.name || '';
     const lowName = rawName.toLowerCase();
 
-    const hasBook = lowName.includes('book');
-    const hasTerm = terms.some(t => lowName.includes(t));
+    for (const provider of bookingRules.providers) {
+      const hasBook = provider.buttonVerbs.some(v => lowName.includes(v));
+      const hasTerm = provider.buttonTerms.some(t => lowName.includes(t));
 
-    if (DEBUG_BUTTONS) {
-      console.log(`[buttons] Checking: "${rawName}" | hasBook: ${hasBook} | hasTerm: ${hasTerm}`);
-    }
+      if (DEBUG_BUTTONS) {
+        console.log(`[buttons] Checking: "${rawName}" (${provider.id}) | hasBook: ${hasBook} | hasTerm: ${hasTerm}`);
+      }
+      if (!hasBook || !hasTerm) continue;
 
-    if (hasBook && hasTerm) {
+      const targetUrl = (contextProvider === provider ? bookingUrl : '') || provider.fallbackUrl;
+      if (!targetUrl) continue;
       b.request = b.request || {};
-      b.request.url = fallbackUrl;
-      if (DEBUG_BUTTONS) console.log(`[buttons] SUCCESS: Transformed "${rawName}" using ${fallbackUrl}`);
+      b.request.url = targetUrl;
+      if (DEBUG_BUTTONS) console.log(`[buttons] SUCCESS: Transformed "${rawName}" using ${targetUrl}`);
+      break;
     }
   }
 }
 
+// =====================
+// Trace renderers (media, end, no-reply, knowledge base, custom)
+// =====================
+// Custom trace types (and channel actions by name) are rendered by registered handlers:
+// handler(queuedCtx, trace, { userId, ctx, lastMsg }) → sent message | undefined. queuedCtx keeps per-chat rate limits.
+const traceRenderers = new Map();
+
+// Case and `_`/`-` insensitive, so `telegram.send_location` finds `telegram.sendLocation`
+function traceRendererKey(type) {
+  return String(type).toLowerCase().replace(/[_-]/g, '');
+}
+
+function registerTraceRenderer(type, handler) {
+  traceRenderers.set(traceRendererKey(type), handler);
+}
+
+// Voiceflow bookkeeping traces that have nothing to show
+const SILENT_TRACE_TYPES = new Set(['debug', 'flow', 'block', 'path', 'log', 'goto', 'entity-filling']);
+
+function mediaUrlOfTrace(t) {
+  const p = t.payload || {};
+  return p.src || p.url || p.audio?.src || p.video?.src || p.file?.url || '';
+}
+
+// OGG/Opus can go out as a voice note; anything else is a regular audio file
+function isVoiceNoteUrl(url) {
+  return /\.(ogg|oga|opus)(\?|#|$)/i.test(url);
+}
+
+async function renderCustomTrace(ctx, queuedCtx, trace, { userId, lastMsg = null }) {
+  const handler = traceRenderers.get(traceRendererKey(trace.type));
+  if (handler) return (await handler(queuedCtx, trace, { userId, ctx, lastMsg })) || null;
+
+  // ------- Live agent handoff (custom action) -------
+  if (HANDOFF_TRACE_TYPES.includes(trace.type)) {
+    const p = trace.payload;
+    const reason = typeof p === 'string' ? p : p?.reason || p?.message || '';
+    await startHandoff(ctx, { reason, source: `voiceflow:${trace.type}` });
+    return null;
+  }
+
+  if (DEBUG_STREAM) console.log(`[sendVF] no renderer for trace type "${trace.type}"`);
+  return null;
+}
+
+// Knowledge base chunks → unique { name, url } sources in retrieval order
+function kbSourcesOf(trace) {
+  const chunks = Array.isArray(trace.payload?.chunks) ? trace.payload.chunks : [];
+  const out = [];
+  for (const c of chunks) {
+    const doc = c?.documentData || c?.source || {};
+    const name = String(doc.name || doc.title || '').trim();
+    const url = doc.url || doc.metadata?.url || '';
+    if (!name && !url) continue;
+    out.push({ name: name || url, url: /^https?:\/\//i.test(url) ? url : '' });
+  }
+  return out;
+}
+
+function kbCitationsHtml(ctx, sources) {
+  const lines = sources.slice(0, VF_KB_CITATIONS).map((s) =>
+    s.url ? `• <a href="${esc(s.url).replace(/"/g, '&quot;')}">${esc(s.name)}</a>` : `• ${esc(s.name)}`
+  );
+  return `<i>${esc(tr(ctx, 'kb.sources'))}</i>\n${lines.join('\n')}`;
+}
+
+// A `no-reply` trace asks for a { type: 'no-reply' } request if the guest stays silent for `timeout` seconds
+const noReplyTimers = new Map(); // sessionKey -> Timeout
+
+function clearNoReply(userId) {
+  const timer = noReplyTimers.get(userId);
+  if (!timer) return;
+  clearTimeout(timer);
+  noReplyTimers.delete(userId);
+}
+
+function scheduleNoReply(ctx, userId, timeoutSec) {
+  clearNoReply(userId);
+  if (!(timeoutSec > 0)) return;
+  const timer = setTimeout(() => {
+    noReplyTimers.delete(userId);
+    if (shouldResetConversationFor(userId)) return; // ended or expired in the meantime
+    if (DEBUG_STREAM) console.log(`[no-reply] ${userId}: no answer after ${timeoutSec}s`);
+    runTurn(ctx, {
+      kind: 'no_reply',
+      droppable: true,
+      interact: () => sendRequestToVoiceflow(ctx, userId, { type: 'no-reply' }),
+    }).catch((e) => console.error('[no-reply] turn failed:', e?.message || e));
+  }, timeoutSec * 1000);
+  timer.unref?.();
+  noReplyTimers.set(userId, timer);
+}
+
+// =====================
+// Telegram actions (`telegram.*` custom traces)
+// =====================
+// Designers call Bot API features from a Voiceflow custom action named e.g. `telegram.sendLocation`,
+// with the method's parameters as the action body (JSON). Calls go out through the queued context.
+// Custom action bodies arrive as objects or as JSON strings depending on how the step was configured
+function actionPayload(trace) {
+  const p = trace.payload;
+  if (typeof p !== 'string') return p || {};
+  try {
+    return JSON.parse(p);
+  } catch {
+    return {};
+  }
+}
+
+function coordsOf(p) {
+  const latitude = Number(p.latitude ?? p.lat);
+  const longitude = Number(p.longitude ?? p.lng ?? p.lon);
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude)) throw new Error('latitude/longitude required');
+  return { latitude, longitude };
+}
+
+// Inline web_app buttons only work in private chats; groups get a plain link
+function miniAppButton(ctx, text, url) {
+  return isGroupChat(ctx) ? { text, url } : { text, web_app: { url } };
+}
+
+const TELEGRAM_ACTIONS = {
+  sendLocation: (q, p) => {
+    const { latitude, longitude } = coordsOf(p);
+    return q.replyWithLocation(latitude, longitude, {
+      live_period: p.live_period || undefined,
+      horizontal_accuracy: p.horizontal_accuracy || undefined,
+    });
+  },
+
+  sendVenue: (q, p) => {
+    const { latitude, longitude } = coordsOf(p);
+    if (!p.title || !p.address) throw new Error('title and address required');
+    return q.replyWithVenue(latitude, longitude, String(p.title), String(p.address), {
+      google_place_id: p.google_place_id || undefined,
+      foursquare_id: p.foursquare_id || undefined,
+    });
+  },
+
+  sendContact: (q, p) => {
+    const phone = p.phone_number || p.phone;
+    const firstName = p.first_name || p.name;
+    if (!phone || !firstName) throw new Error('phone_number and first_name required');
+    return q.replyWithContact(String(phone), String(firstName), {
+      last_name: p.last_name || undefined,
+      vcard: p.vcard || undefined,
+    });
+  },
+
+  sendPoll: (q, p) => {
+    const options = (Array.isArray(p.options) ? p.options : String(p.options || '').split('|'))
+      .map((o) => String(typeof o === 'object' ? o?.text ?? '' : o).trim())
+      .filter(Boolean);
+    if (!p.question || options.length < 2) throw new Error('question and at least 2 options required');
+    return q.replyWithPoll(String(p.question), options.slice(0, 10), {
+      is_anonymous: p.is_anonymous ?? false,
+      allows_multiple_answers: !!p.allows_multiple_answers,
+      type: p.type === 'quiz' ? 'quiz' : 'regular',
+      correct_option_id: p.type === 'quiz' ? Number(p.correct_option_id ?? 0) : undefined,
+    });
+  },
+
+  sendDice: (q, p) => q.replyWithDice({ emoji: p.emoji || undefined }),
+
+  setChatMenuButton: (q, p, { ctx }) => {
+    if (isGroupChat(ctx)) throw new Error('menu buttons are per private chat');
+    const type = p.type || (p.url || p.app ? 'web_app' : 'default');
+    if (type !== 'web_app') return q.setChatMenuButton({ type });
+    const url = p.url || miniAppById(p.app)?.url;
+    if (!url) throw new Error(`no URL for mini app "${p.app || ''}"`);
+    return q.setChatMenuButton({ type: 'web_app', text: String(p.text || 'Open'), web_app: { url } });
+  },
+
+  pinChatMessage: (q, p, { lastMsg }) => {
+    const messageId = Number(p.message_id) || lastMsg?.message_id;
+    if (!messageId) throw new Error('nothing to pin yet');
+    return q.pinChatMessage(messageId, { disable_notification: p.disable_notification ?? true });
+  },
+
+  removeKeyboard: (q) => removeReplyKeyboard(q),
+
+  // Bots can't open a mini app on their own; send a message with a button that does
+  openMiniApp: (q, p, { ctx }) => {
+    const url = p.url || miniAppById(p.app)?.url;
+    if (!url) throw new Error(`no URL for mini app "${p.app || ''}"`);
+    const html = p.message ? mdToHtml(normalizeSpacing(String(p.message))) : esc(tr(ctx, 'choice.prompt'));
+    return safeReplyHtml(q, html, {
+      reply_markup: { inline_keyboard: [[miniAppButton(ctx, String(p.text || p.button || 'Open'), url)]] },
+    });
+  },
+};
+
+for (const [name, action] of Object.entries(TELEGRAM_ACTIONS)) {
+  registerTraceRenderer(`telegram.${name}`, async (queuedCtx, trace, opts) => {
+    try {
+      const res = await action(queuedCtx, actionPayload(trace), opts);
+      if (DEBUG_STREAM) console.log(`[telegram-action] ${name} ok`);
+      return res && typeof res === 'object' ? res : undefined; // pin/menu calls return `true`
+    } catch (e) {
+      if (e?.response?.error_code === 429) throw e; // sendVFToTelegram waits and retries the trace
+      console.warn(`[telegram-action] ${name} failed:`, e?.response?.description || e?.message || e);
+      return undefined;
+    }
+  });
+}
+registerTraceRenderer('telegram.openWebApp', traceRenderers.get(traceRendererKey('telegram.openMiniApp')));
+
 async function sendVFToTelegram(ctx, vfResp) {
-  const userId = ctx.from.id;
+  const userId = sessionKey(ctx);
 
   // [Commit 38b] CLEAR PREVIOUS TURN STATE
   // This prevents the bot from retroactively editing buttons on messages from the previous user interaction.
@@ -1608,8 +3470,13 @@ async function sendVFToTelegram(ctx, vfResp) {
 
   const traces = tracesOf(vfResp);
   let lastMsgOverall = null;
+  const voiceParts = []; // AI text spoken once the written reply (and its buttons) went out
+  const kbSources = []; // knowledge base citations, listed after the answer
+  let noReplySec = 0;
+  let ended = false;
 
   if (DEBUG_STREAM) console.log(`[sendVF] Processing ${traces.length} traces for user ${userId}`);
+  recordTranscript(ctx.chat?.id ?? userId, { dir: 'vf', traces: traces.map((t) => t?.type).filter((t) => t && t !== 'completion') });
   if (traces.length === 0) {
     console.warn(`[sendVF] WARNING: Received 0 traces from Voiceflow for user ${userId}`);
   }
@@ -1621,7 +3488,7 @@ async function sendVFToTelegram(ctx, vfResp) {
 
   // --- PRE-SCAN ALL TRACES FOR SYNTHETIC BUTTONS AND THE OVERALL CALENDLY URL ---
   const responseSyntheticButtons = [];
-  let overallCalendlyUrl = null;
+  let overallBookingUrl = null;
 
   // [Commit 34b/37b] SCAN AI COMPLETION FIRST
   // This ensures "Book Now" buttons appear for AI-generated text.
@@ -1630,9 +3497,9 @@ async function sendVFToTelegram(ctx, vfResp) {
     const syn = getSyntheticButtons(comp.accumulated, 'pre-scan-ai');
     for (const s of syn) {
       if (!responseSyntheticButtons.some(b => b.name === s.name)) responseSyntheticButtons.push(s);
-      if (s.name && s.name.includes('Book Now')) {
+      if (isBookingButtonName(s.name)) {
         const url = extractUrlFromButton(s);
-        if (url) overallCalendlyUrl = url;
+        if (url) overallBookingUrl = url;
       }
     }
   }
@@ -1643,9 +3510,9 @@ async function sendVFToTelegram(ctx, vfResp) {
       const syn = getSyntheticButtons(raw, 'pre-scan-text');
       for (const s of syn) {
         if (!responseSyntheticButtons.some(b => b.name === s.name)) responseSyntheticButtons.push(s);
-        if (s.name && s.name.includes('Book Now')) {
+        if (isBookingButtonName(s.name)) {
           const url = extractUrlFromButton(s);
-          if (url) overallCalendlyUrl = url;
+          if (url) overallBookingUrl = url;
         }
       }
     } else if (t.type === 'card' || t.type === 'cardV2' || t.type === 'choice' || t.type === 'carousel') {
@@ -1654,9 +3521,9 @@ async function sendVFToTelegram(ctx, vfResp) {
 
       for (const b of buttons) {
         const name = b.name || b.request?.payload?.label || '';
-        if (name.includes('Book Now')) {
+        if (isBookingButtonName(name)) {
           const url = extractUrlFromButton(b);
-          if (url) overallCalendlyUrl = url;
+          if (url) overallBookingUrl = url;
         }
       }
 
@@ -1665,9 +3532,9 @@ async function sendVFToTelegram(ctx, vfResp) {
         const syn = getSyntheticButtons(raw, 'pre-scan-card');
         for (const s of syn) {
           if (!responseSyntheticButtons.some(b => b.name === s.name)) responseSyntheticButtons.push(s);
-          if (s.name && s.name.includes('Book Now')) {
+          if (isBookingButtonName(s.name)) {
             const url = extractUrlFromButton(s);
-            if (url) overallCalendlyUrl = url;
+            if (url) overallBookingUrl = url;
           }
         }
       }
@@ -1675,8 +3542,8 @@ async function sendVFToTelegram(ctx, vfResp) {
   }
 
   if (DEBUG_BUTTONS) {
-    if (overallCalendlyUrl) console.log(`[sendVF] Found overall Calendly URL: ${overallCalendlyUrl}`);
-    else console.log('[sendVF] No Calendly URL found in this response');
+    if (overallBookingUrl) console.log(`[sendVF] Found overall booking URL: ${overallBookingUrl}`);
+    else console.log('[sendVF] No booking URL found in this response');
     if (responseSyntheticButtons.length) console.log('[sendVF] Collected synthetic buttons:', responseSyntheticButtons.map(b => b.name));
   }
 
@@ -1684,12 +3551,15 @@ async function sendVFToTelegram(ctx, vfResp) {
   // QUEUED CONTEXT PROXY
   // Intercepts ctx.reply* and telegram.* calls to enqueue them in SmartTransport
   // ===========================================================================
-  const queuedCtx = new Proxy(ctx, {
+  const chatKey = ctx.chat?.id ?? userId; // Telegram rate limits are per chat, not per conversation
+  // A privateChatContext already sends through the transport; queueing again would wait on itself
+  const queuedCtx = ctx.state?.transported ? ctx : new Proxy(ctx, {
     get(target, prop) {
-      if (['reply', 'replyWithPhoto', 'replyWithAnimation', 'replyWithDocument', 'replyWithMediaGroup', 'sendChatAction'].includes(prop)) {
+      if (['reply', 'replyWithPhoto', 'replyWithAnimation', 'replyWithDocument', 'replyWithMediaGroup', 'replyWithVoice', 'replyWithAudio', 'replyWithVideo', 'sendChatAction',
+        'replyWithLocation', 'replyWithVenue', 'replyWithContact', 'replyWithPoll', 'replyWithDice', 'setChatMenuButton', 'pinChatMessage'].includes(prop)) {
         return async (...args) => {
           return new Promise((resolve, reject) => {
-            transport.enqueue(userId, async () => {
+            transport.enqueue(chatKey, async () => {
               try {
                 const res = await target[prop].call(target, ...args);
                 resolve(res);
@@ -1707,7 +3577,7 @@ async function sendVFToTelegram(ctx, vfResp) {
             if (['editMessageReplyMarkup', 'sendMessage', 'sendPhoto'].includes(tgProp)) {
               return async (...args) => {
                 return new Promise((resolve, reject) => {
-                  transport.enqueue(userId, async () => {
+                  transport.enqueue(chatKey, async () => {
                     try {
                       const res = await tgTarget[tgProp].call(tgTarget, ...args);
                       resolve(res);
@@ -1744,6 +3614,7 @@ async function sendVFToTelegram(ctx, vfResp) {
 
         // If we streamed this AI response via completion events, don't send it again
         const isHandledByStreaming = isAi && VF_COMPLETION_TO_TELEGRAM && hasRecentCompletionMsg;
+        if (isAi) voiceParts.push(raw);
         if (isHandledByStreaming) {
           const lb = lastBotMsgByUser.get(userId);
           if (lb) {
@@ -1796,13 +3667,20 @@ async function sendVFToTelegram(ctx, vfResp) {
         // Ensure streaming edits are flushed before attaching buttons
         await completionFlush(queuedCtx, userId);
 
+        if (isReplyKeyboardChoice(ctx, buttons)) {
+          const replyKb = makeReplyKeyboard(ctx, buttons);
+          const msg = replyKb ? await queuedCtx.reply(tr(ctx, 'choice.prompt'), { reply_markup: replyKb }) : null;
+          if (msg) lastMsgOverall = { chatId: msg.chat.id, message_id: msg.message_id, keyboard: 'none' };
+          continue;
+        }
+
         const syn = [...responseSyntheticButtons, ...(ctx.state?.pendingSyntheticButtons || [])];
         ctx.state.pendingSyntheticButtons = []; // clear
 
         const mergedButtons = [...buttons];
 
         // TRANSFORM ACTIVITY BUTTONS in choices
-        applyCalendlyToButtons(mergedButtons, overallCalendlyUrl);
+        applyBookingToButtons(mergedButtons, overallBookingUrl);
 
         for (const s of syn) {
           if (!mergedButtons.some(b => {
@@ -1848,7 +3726,7 @@ async function sendVFToTelegram(ctx, vfResp) {
         const mediaUrl = t.payload?.imageUrl || '';
 
         const buttons = Array.isArray(t.payload?.buttons) ? t.payload.buttons : [];
-        applyCalendlyToButtons(buttons, overallCalendlyUrl); // TRANSFORM ACTIVITY BUTTONS in cards
+        applyBookingToButtons(buttons, overallBookingUrl); // TRANSFORM ACTIVITY BUTTONS in cards
 
         const kb = buttons.length ? makeCardV2Keyboard(userId, buttons) : null;
         const replyMarkup = kb ? { inline_keyboard: kb } : null;
@@ -1932,7 +3810,7 @@ async function sendVFToTelegram(ctx, vfResp) {
           const captionHtml = mdToHtml(normalizeSpacing([title, desc].filter(Boolean).join('\n\n'))) || undefined;
 
           const buttons = Array.isArray(c.buttons) ? c.buttons : [];
-          applyCalendlyToButtons(buttons, overallCalendlyUrl); // TRANSFORM ACTIVITY BUTTONS in carousels
+          applyBookingToButtons(buttons, overallBookingUrl); // TRANSFORM ACTIVITY BUTTONS in carousels
 
           const kb = buttons.length ? makeCardV2Keyboard(userId, buttons) : null;
           const replyMarkup = kb ? { inline_keyboard: kb } : null;
@@ -1956,7 +3834,53 @@ async function sendVFToTelegram(ctx, vfResp) {
       }
 
       // Ignore completion traces here (handled realtime)
-      if (t.type === 'completion') continue;
+      if (t.type === 'completion' || SILENT_TRACE_TYPES.has(t.type)) continue;
+
+      // ------- Audio / video / file -------
+      const isAudio = t.type === 'audio' || (t.type === 'speak' && t.payload?.type === 'audio');
+      if (isAudio || t.type === 'video' || t.type === 'file') {
+        const url = mediaUrlOfTrace(t);
+        if (!url) continue;
+        const kind = isAudio ? (isVoiceNoteUrl(url) ? 'voice' : 'audio') : t.type === 'video' ? 'video' : 'document';
+        const caption = t.payload?.title || t.payload?.name || t.payload?.caption || '';
+        const msg = await sendFileOfKind(queuedCtx, kind, url, caption ? mdToHtml(caption) : undefined);
+        if (msg) {
+          lastMsgOverall = { chatId: msg.chat.id, message_id: msg.message_id, keyboard: 'none' };
+          lastBotMsgByUser.set(userId, lastMsgOverall);
+        }
+        continue;
+      }
+
+      if (t.type === 'knowledgeBase') {
+        for (const src of kbSourcesOf(t)) {
+          if (!kbSources.some((s) => s.name === src.name)) kbSources.push(src);
+        }
+        continue;
+      }
+
+      if (t.type === 'no-reply') {
+        noReplySec = Number(t.payload?.timeout) || 0;
+        continue;
+      }
+
+      if (t.type === 'end') {
+        ended = true;
+        continue;
+      }
+
+      // ------- Channel action → custom renderer by name -------
+      if (t.type === 'channel-action' || t.type === 'channel_action') {
+        const name = t.payload?.name || t.payload?.type;
+        if (!name) continue;
+        const data = t.payload?.payload ?? t.payload?.data ?? {};
+        const msg = await renderCustomTrace(ctx, queuedCtx, { type: name, payload: data }, { userId, lastMsg: lastMsgOverall });
+        if (msg?.message_id) lastMsgOverall = { chatId: msg.chat.id, message_id: msg.message_id, keyboard: 'none' };
+        continue;
+      }
+
+      // ------- Custom traces (registered renderers, handoff) -------
+      const msg = await renderCustomTrace(ctx, queuedCtx, t, { userId, lastMsg: lastMsgOverall });
+      if (msg?.message_id) lastMsgOverall = { chatId: msg.chat.id, message_id: msg.message_id, keyboard: 'none' };
 
     } catch (err) {
       if (err?.response?.error_code === 429 || err?.code === 429) {
@@ -1970,20 +3894,56 @@ async function sendVFToTelegram(ctx, vfResp) {
     }
   }
 
-  // [Commit 37b] CRITICAL STATE RESET: Clear the AI buffer after it has been used/processed
-  // This prevents the "Book Now" buttons from leaking into unrelated subsequent messages.
-  if (comp) {
-    comp.accumulated = '';
-    completionStateByUser.set(userId, comp);
+  if (kbSources.length && VF_KB_CITATIONS > 0) {
+    await safeReplyHtml(queuedCtx, kbCitationsHtml(ctx, kbSources));
   }
 
-  return lastMsgOverall;
+  if (voiceParts.length) await sendVoiceReply(queuedCtx, voiceParts.join('\n\n'));
+
+  if (ended) {
+    // Flow reached an End block: retire leftover choice buttons; the next message starts a fresh session
+    if (lastMsgOverall?.keyboard === 'choice') {
+      try {
+        await queuedCtx.telegram.editMessageReplyMarkup(lastMsgOverall.chatId, lastMsgOverall.message_id, undefined, { inline_keyboard: [] });
+      } catch { }
+    }
+    await removeReplyKeyboard(queuedCtx);
+    lastBotMsgByUser.delete(userId);
+    clearNoReply(userId);
+    sessions.set(userId, { ...(sessions.get(userId) || {}), ended: true });
+    if (DEBUG_STREAM) console.log(`[sendVF] session ended for ${userId}`);
+  } else if (noReplySec > 0) {
+    scheduleNoReply(ctx, userId, noReplySec);
+  }
+
+  // [Commit 37b] CRITICAL STATE RESET: Clear the AI buffer after it has been used/processed
+  // This prevents the "Book Now" buttons from leaking into unrelated subsequent messages.
+  if (comp) {
+    comp.accumulated = '';
+    completionStateByUser.set(userId, comp);
+  }
+
+  return lastMsgOverall;
 }
 
 // =====================
 // Session & auto-reset
 // =====================
-const sessions = new Map(); // userId -> { lastTs, lastDay }
+const sessions = new PersistentMap('session', { ttlMs: 30 * 24 * 3600 * 1000 }); // userId -> { lastTs, lastDay }
+
+// Pull the user's persisted state into the in-process maps before any handler reads it
+// Conversation state is per session key; preferences and handoffs belong to the person
+async function hydrateUserState(key, personId) {
+  await Promise.all([
+    sessions.load(key),
+    lastBotMsgByUser.load(key),
+    completionStateByUser.load(key),
+    ttsPrefByUser.load(personId),
+    localeByUser.load(personId),
+    handoffByUser.load(personId),
+    replyKeyboardByUser.load(key),
+  ]);
+}
 
 function localDayStamp(tsMs) {
   const d = new Date(tsMs + LOCAL_UTC_OFFSET_HOURS * 3600 * 1000);
@@ -1995,7 +3955,7 @@ function localDayStamp(tsMs) {
 
 function shouldResetConversationFor(userId) {
   const s = sessions.get(userId);
-  if (!s) return true;
+  if (!s || s.ended) return true;
   const now = Date.now();
   if (SESSION_RESET_HOURS > 0 && now - s.lastTs > SESSION_RESET_HOURS * 3600 * 1000) return true;
   if (SESSION_RESET_ON_DAY_CHANGE && localDayStamp(now) !== s.lastDay) return true;
@@ -2003,12 +3963,13 @@ function shouldResetConversationFor(userId) {
 }
 
 function touchSession(userId) {
+  if (sessions.get(userId)?.ended) return; // stays closed until the next launch resets it
   const now = Date.now();
   sessions.set(userId, { lastTs: now, lastDay: localDayStamp(now) });
 }
 
 async function maybeAutoResetLaunch(ctx) {
-  const userId = ctx.from.id;
+  const userId = sessionKey(ctx);
   if (shouldResetConversationFor(userId)) {
     await resetVoiceflow(userId);
     const traces = await launchVoiceflow(ctx, userId);
@@ -2020,20 +3981,210 @@ async function maybeAutoResetLaunch(ctx) {
 }
 
 // =====================
-// Streaming interaction
+// Turn queue (one Voiceflow turn at a time per conversation)
 // =====================
-async function streamVoiceflowInteraction(ctx, userId, action) {
-  const res = await api.post(
-    streamUrl(userId),
-    { action },
-    {
-      headers: vfHeaders({ stream: true }),
-      responseType: 'stream',
+/**
+ * Serializes turns per session key so completion bubbles and keyboards never interleave.
+ * Jobs: { kind, text?, droppable, exec(text) }. While a turn runs, new jobs wait according to the policy:
+ *  - queue:    run in arrival order
+ *  - coalesce: consecutive pending texts merge into one turn
+ *  - drop:     a newer job discards older pending droppable ones (button mashing, repeated sends)
+ * Non-droppable jobs (launches, mini app data, attachments) are always kept.
+ */
+class TurnQueue {
+  constructor(policy = 'queue', maxPending = 5) {
+    this.policy = policy;
+    this.maxPending = maxPending;
+    this.convs = new Map(); // key -> { running: Boolean, pending: Array }
+  }
+
+  run(key, job) {
+    let conv = this.convs.get(key);
+    if (!conv) {
+      conv = { running: false, pending: [] };
+      this.convs.set(key, conv);
     }
-  );
+
+    const last = conv.pending[conv.pending.length - 1];
+    if (conv.running && this.policy === 'coalesce' && job.kind === 'text' && last?.kind === 'text') {
+      last.texts.push(job.text);
+      if (DEBUG_STREAM) console.log(`[turns] ${key}: coalesced text into pending turn (${last.texts.length} parts)`);
+      return last.promise;
+    }
+
+    // A newer droppable turn supersedes the waiting ones; a non-droppable one (launch, mini app data, attachment) just queues
+    if (conv.running && this.policy === 'drop' && job.droppable) this.dropPending(conv, key, () => true);
+
+    const entry = { ...job, texts: job.kind === 'text' ? [job.text] : [] };
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+    conv.pending.push(entry);
+
+    // Hard cap: shed the oldest droppable jobs first
+    if (conv.pending.length > this.maxPending) {
+      let excess = conv.pending.length - this.maxPending;
+      this.dropPending(conv, key, (e) => e !== entry && excess-- > 0);
+    }
+
+    this.drain(key, conv);
+    return entry.promise;
+  }
+
+  dropPending(conv, key, shouldDrop) {
+    conv.pending = conv.pending.filter((e) => {
+      if (!e.droppable || !shouldDrop(e)) return true;
+      if (DEBUG_STREAM) console.log(`[turns] ${key}: dropped stale ${e.kind} turn`);
+      e.resolve(undefined);
+      return false;
+    });
+  }
+
+  async drain(key, conv) {
+    if (conv.running) return;
+    conv.running = true;
+    while (conv.pending.length) {
+      const entry = conv.pending.shift();
+      try {
+        entry.resolve(await entry.exec(entry.texts.join('\n')));
+      } catch (err) {
+        entry.reject(err);
+      }
+    }
+    conv.running = false;
+    this.convs.delete(key);
+  }
+
+  depth() {
+    let n = 0;
+    for (const c of this.convs.values()) n += c.pending.length + (c.running ? 1 : 0);
+    return n;
+  }
+}
+
+const turnQueue = new TurnQueue(TURN_POLICY, TURN_QUEUE_MAX);
+
+/**
+ * Runs one Voiceflow turn for the update's conversation: typing indicator, auto-reset launch,
+ * then `interact(text)` → traces rendered with sendVFToTelegram.
+ * keepAfterReset: continue with the turn even if the session was just relaunched (mini app data, files).
+ */
+function runTurn(ctx, { kind, text, droppable = false, keepAfterReset = false, interact }) {
+  const userId = sessionKey(ctx);
+  return turnQueue.run(userId, {
+    kind,
+    text,
+    droppable,
+    exec: async (mergedText) => {
+      const stop = keepTyping(ctx);
+      try {
+        if ((await maybeAutoResetLaunch(ctx)) && !keepAfterReset) return;
+        const traces = await interact(mergedText);
+        await sendVFToTelegram(ctx, traces);
+        touchSession(userId);
+      } finally {
+        stop();
+      }
+    },
+  });
+}
+
+// =====================
+// Proactive turns (mini app callbacks, scheduled messages)
+// =====================
+// Sends with no incoming update behind them queue in SmartTransport like any other outbound message
+function transportedTelegram() {
+  const telegram = new Telegram(TELEGRAM_BOT_TOKEN, bot.telegram.options);
+  hookTranscriptCalls(telegram);
+  const callApi = telegram.callApi.bind(telegram);
+  telegram.callApi = (method, payload, opts) =>
+    payload?.chat_id === undefined ? callApi(method, payload, opts) : viaTransport(payload.chat_id, () => callApi(method, payload, opts));
+  return telegram;
+}
+
+// A Telegraf context for the user's private chat when there is no incoming update to answer.
+// Everything sent through it (replies, streamed edits, documents) goes through the transport.
+async function privateChatContext(user) {
+  const from = {
+    id: Number(user.id),
+    is_bot: false,
+    first_name: user.first_name || '',
+    last_name: user.last_name,
+    username: user.username,
+    language_code: user.language_code,
+  };
+  const update = {
+    update_id: 0,
+    message: { message_id: 0, date: Math.floor(Date.now() / 1000), chat: { id: from.id, type: 'private', first_name: from.first_name }, from },
+  };
+  const ctx = new Context(update, transportedTelegram(), bot.botInfo);
+  ctx.state.transported = true;
+  await hydrateUserState(sessionKey(ctx), from.id);
+  return ctx;
+}
+
+// Sends a Voiceflow request on the user's behalf and renders the reply like any other turn
+function runProactiveTurn(ctx, { kind, request }) {
+  return runTurn(ctx, {
+    kind,
+    keepAfterReset: true,
+    interact: () => sendRequestToVoiceflow(ctx, sessionKey(ctx), request),
+  });
+}
+
+// =====================
+// Streaming interaction
+// =====================
+// Failed before a byte of the request was written (DNS, connection refused or unreachable): the turn did
+// not run, so it is safe to send it again. A reset can come after the request went out, so it is not here.
+const CONNECT_ERROR_CODES = new Set(['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH']);
+
+function isConnectError(err) {
+  return !err?.response && CONNECT_ERROR_CODES.has(err?.code);
+}
+
+// Non-streaming turn: the whole reply in one response (no completion events)
+async function interactVoiceflowOnce(userId, action) {
+  const res = await api.post(`${userStateBase(userId)}/interact`, { action }, { headers: vfHeaders(), timeout: VF_STREAM_TIMEOUT_MS || undefined });
+  return tracesOf(res.data);
+}
+
+/**
+ * One streamed turn. Resolves { traces, complete, reason }: complete is true only when Voiceflow sent its
+ * `end` event, so a dropped connection or timeout yields whatever traces arrived. Waiting for the response
+ * headers counts against the idle and overall limits too. Rejects only when the request itself fails
+ * before any stream exists.
+ */
+async function readVoiceflowStream(ctx, userId, action) {
+  const startedAt = Date.now();
+  const limits = [VF_STREAM_IDLE_TIMEOUT_MS, VF_STREAM_TIMEOUT_MS].filter((ms) => ms > 0);
+  const headerTimeoutMs = limits.length ? Math.min(...limits) : 0;
+  const controller = new AbortController();
+  const headerTimer = headerTimeoutMs ? setTimeout(() => controller.abort(), headerTimeoutMs) : null;
+
+  let res;
+  try {
+    res = await api.post(
+      streamUrl(userId),
+      { action },
+      {
+        headers: vfHeaders({ stream: true }),
+        responseType: 'stream',
+        signal: controller.signal,
+      }
+    );
+  } catch (err) {
+    // The request went out but nothing came back: like an empty stream, the turn may have run
+    if (controller.signal.aborted) return { traces: [], complete: false, reason: `no response headers within ${headerTimeoutMs}ms` };
+    throw err;
+  } finally {
+    clearTimeout(headerTimer);
+  }
 
   const traces = [];
   let finished = false;
+  let complete = false;
 
   // Force realtime completion processing to be sequential,
   // and WAIT for it before returning (prevents races with buttons).
@@ -2041,174 +4192,2624 @@ async function streamVoiceflowInteraction(ctx, userId, action) {
   let realtimeChain = Promise.resolve();
   let latestContentIdx = -1;
 
-  const finish = async (resolve) => {
-    if (finished) return;
-    finished = true;
-    try {
-      await realtimeChain;
-    } catch { }
-    resolve(traces);
-  };
+  return await new Promise((resolve) => {
+    const finish = async (reason) => {
+      if (finished) return;
+      finished = true;
+      try {
+        await realtimeChain;
+      } catch { }
+      resolve({ traces, complete, reason });
+    };
+
+    parseSseStream(
+      res.data,
+      ({ event, data }) => {
+        if (event === 'trace' && data && typeof data === 'object') {
+          const trace = data;
+          traces.push(trace);
+
+          const currentIdx = traces.length - 1;
+          if (trace.type === 'completion' && trace.payload?.state === 'content') {
+            latestContentIdx = currentIdx;
+          }
+
+          realtimeChain = realtimeChain.then(async () => {
+            // Optimization: Skip rendering if a newer content trace has arrived.
+            // handleTraceRealtime will still update the accumulated buffer.
+            const isContent = trace.type === 'completion' && trace.payload?.state === 'content';
+            const skipRendering = isContent && currentIdx < latestContentIdx;
+
+            await handleTraceRealtime(ctx, trace, { skipRendering });
+          }).catch(() => { });
+          return;
+        }
+        if (event === 'end') {
+          complete = true;
+          finish('end').catch(() => resolve({ traces, complete, reason: 'end' }));
+          return;
+        }
+        if (event === 'end-of-stream') {
+          finish('closed before end event').catch(() => resolve({ traces, complete, reason: 'closed' }));
+        }
+      },
+      {
+        idleTimeoutMs: VF_STREAM_IDLE_TIMEOUT_MS,
+        timeoutMs: VF_STREAM_TIMEOUT_MS ? Math.max(1, VF_STREAM_TIMEOUT_MS - (Date.now() - startedAt)) : 0,
+      }
+    );
+
+    res.data.on('error', (err) => {
+      finish(err?.message || 'stream error').catch(() => resolve({ traces, complete, reason: 'error' }));
+    });
+    // Destroyed without 'end' or 'error' (e.g. the socket was torn down)
+    res.data.on('close', () => {
+      finish('connection closed').catch(() => resolve({ traces, complete, reason: 'closed' }));
+    });
+  });
+}
+
+// A completion bubble whose stream broke off: show everything that arrived, marked as cut short
+async function finalizeInterruptedCompletion(ctx, userId) {
+  const s = completionStateByUser.get(userId);
+  if (!s?.active) return;
+  s.active = false;
+  s.endedAt = Date.now();
+  completionStateByUser.set(userId, s);
+  if (s.accumulated.trim()) {
+    s.accumulated = `${s.accumulated.trimEnd()}…\n\n_${tr(ctx, 'stream.interrupted')}_`;
+    await completionSendOrUpdate(ctx, userId, s.accumulated, { force: true, final: true });
+  }
+  await completionFlush(ctx, userId);
+}
+
+async function streamVoiceflowInteraction(ctx, userId, action) {
+  // A live agent owns the conversation; the bot stays silent until /release
+  if (isHandoffActive(ctx.from?.id)) {
+    if (DEBUG_STREAM) console.log(`[handoff] VF interaction skipped for ${userId} (${action?.type})`);
+    return [];
+  }
+
+  await syncVoiceflowLocale(ctx, userId);
+
+  let result;
+  try {
+    result = await readVoiceflowStream(ctx, userId, action);
+  } catch (err) {
+    if (!VF_STREAM_FALLBACK || !isConnectError(err)) throw err;
+    console.warn(`[stream] ${userId}: stream could not connect (${err.code}), retrying without streaming`);
+    return await interactVoiceflowOnce(userId, action);
+  }
+
+  const { traces, complete, reason } = result;
+  if (complete) return traces;
+
+  // The stream was accepted, so the turn may well have run (e.g. a slow LLM step) even though nothing arrived
+  if (!traces.length) {
+    if (VF_STREAM_REPLAY_EMPTY) {
+      console.warn(`[stream] ${userId}: empty stream (${reason}), replaying without streaming`);
+      return await interactVoiceflowOnce(userId, action);
+    }
+    console.warn(`[stream] ${userId}: empty stream (${reason}), not replaying`);
+    await ctx.reply(tr(ctx, 'stream.no_reply')).catch(() => { });
+    return traces;
+  }
+
+  // Once traces have arrived the turn has happened; replaying it would answer twice
+  console.warn(`[stream] ${userId}: partial turn after ${traces.length} trace(s) (${reason})`);
+  await finalizeInterruptedCompletion(ctx, userId);
+  return traces;
+}
+
+async function launchVoiceflow(ctx, userId) {
+  return await streamVoiceflowInteraction(ctx, userId, { type: 'launch' });
+}
+
+async function interactVoiceflow(ctx, userId, text) {
+  return await streamVoiceflowInteraction(ctx, userId, { type: 'text', payload: text });
+}
+
+async function sendRequestToVoiceflow(ctx, userId, request) {
+  return await streamVoiceflowInteraction(ctx, userId, request);
+}
+
+// =====================
+// Mini App data (web_app_data)
+// =====================
+const WEB_APP_DATA_MAX_BYTES = 4096; // Telegram caps sendData payloads at 4096 bytes
+
+// type → Voiceflow event name + fields that must be present for the payload to be accepted
+const WEB_APP_DATA_TYPES = {
+  spa_booking: { event: 'spa_booking', required: ['id', 'service', 'date', 'time'] },
+  dining_reservation: { event: 'dining_reservation', required: ['restaurant', 'size', 'time'] },
+  marketplace_checkout: { event: 'marketplace_checkout', required: ['items', 'total'] },
+};
+
+/**
+ * Parses and validates a web_app_data string.
+ * Returns { type, event, data } or { error } describing why it was rejected.
+ */
+function parseWebAppData(raw) {
+  if (typeof raw !== 'string' || !raw.trim()) return { error: 'empty payload' };
+  if (Buffer.byteLength(raw, 'utf8') > WEB_APP_DATA_MAX_BYTES) return { error: 'payload too large' };
+
+  let obj;
+  try {
+    obj = JSON.parse(raw);
+  } catch {
+    return { error: 'invalid JSON' };
+  }
+  if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return { error: 'payload is not an object' };
+
+  const type = typeof obj.type === 'string' ? obj.type.trim() : '';
+  const spec = WEB_APP_DATA_TYPES[type];
+  if (!spec) return { error: `unknown type "${type || '(none)'}"` };
+
+  const missing = spec.required.filter((k) => obj[k] === undefined || obj[k] === null || obj[k] === '');
+  if (missing.length) return { error: `missing fields: ${missing.join(', ')}` };
+
+  const { type: _type, ...data } = obj;
+  return { type, event: spec.event, data };
+}
+
+// Voiceflow request for a validated payload: an `event` by default, or a custom action of the same name
+function webAppDataToVoiceflowRequest({ event, data }) {
+  if (VF_WEB_APP_DATA_MODE === 'action') return { type: event, payload: data };
+  return { type: 'event', payload: { event: { name: event, ...data } } };
+}
+
+// =====================
+// Mini App initData verification
+// =====================
+// https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+const initDataSecret = createHmac('sha256', 'WebAppData').update(TELEGRAM_BOT_TOKEN).digest();
+
+/**
+ * Verifies the raw `initData` query string signed by Telegram.
+ * Returns { user, authDate, queryId, startParam, chatType, chatInstance } or { error }.
+ */
+function verifyInitData(raw, { maxAgeSec = INIT_DATA_MAX_AGE_SEC } = {}) {
+  if (typeof raw !== 'string' || !raw.trim()) return { error: 'missing initData' };
+
+  const params = new URLSearchParams(raw);
+  const hash = params.get('hash');
+  if (!hash || !/^[0-9a-f]{64}$/i.test(hash)) return { error: 'missing hash' };
+  params.delete('hash');
+
+  const dataCheckString = [...params.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([k, v]) => `${k}=${v}`)
+    .join('\n');
+
+  const expected = createHmac('sha256', initDataSecret).update(dataCheckString).digest();
+  if (!timingSafeEqual(expected, Buffer.from(hash, 'hex'))) return { error: 'invalid signature' };
+
+  const authDate = parseInt(params.get('auth_date') || '0', 10);
+  if (!authDate) return { error: 'missing auth_date' };
+  if (maxAgeSec > 0 && Date.now() / 1000 - authDate > maxAgeSec) return { error: 'initData expired' };
+
+  let user = null;
+  try {
+    user = JSON.parse(params.get('user') || 'null');
+  } catch { }
+  if (!user?.id) return { error: 'missing user' };
+
+  return {
+    user,
+    authDate,
+    queryId: params.get('query_id') || undefined,
+    startParam: params.get('start_param') || undefined,
+    chatType: params.get('chat_type') || undefined,
+    chatInstance: params.get('chat_instance') || undefined,
+  };
+}
+
+// =====================
+// HTTP API (mini apps)
+// =====================
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const HTTP_BODY_MAX_BYTES = 64 * 1024;
+const httpRoutes = []; // { method, path, handler(req, body, res) → JSON-able result }
+
+function httpRoute(method, path, handler) {
+  httpRoutes.push({ method, path, handler });
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > HTTP_BODY_MAX_BYTES) {
+        reject(new HttpError(413, 'body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      if (!raw.trim()) return resolve({});
+      try {
+        resolve(JSON.parse(raw));
+      } catch {
+        reject(new HttpError(400, 'invalid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+// initData is accepted as `Authorization: tma <initData>` or as `initData` in the JSON body
+function initDataFromRequest(req, body) {
+  const auth = String(req.headers.authorization || '');
+  if (/^tma\s+/i.test(auth)) return auth.replace(/^tma\s+/i, '');
+  return typeof body?.initData === 'string' ? body.initData : '';
+}
+
+// Resolves the verified Telegram user of a mini app request or throws 401
+function requireMiniAppUser(req, body) {
+  const verified = verifyInitData(initDataFromRequest(req, body));
+  if (verified.error) throw new HttpError(401, verified.error);
+  return verified;
+}
+
+async function handleHttpRequest(req, res) {
+  res.setHeader('Access-Control-Allow-Origin', HTTP_CORS_ORIGIN);
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+    return;
+  }
+
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const match = httpRoutes.find((r) => r.method === req.method && r.path === pathname);
+
+  if (!match && req.method === 'GET' && HTTP_SERVE_STATIC && (await serveStatic(pathname, res))) return;
+
+  try {
+    if (!match) throw new HttpError(404, 'not found');
+    const body = req.method === 'GET' ? {} : await readJsonBody(req);
+    const result = await match.handler(req, body, res);
+    // Handlers that stream their own response (files) leave nothing to serialize
+    if (!res.headersSent) sendJson(res, 200, { ok: true, ...result });
+  } catch (err) {
+    const status = err instanceof HttpError ? err.status : 500;
+    if (status === 500) console.error('❌ HTTP handler error:', err?.stack || err);
+    if (!res.headersSent) sendJson(res, status, { ok: false, error: status === 500 ? 'internal error' : err.message });
+  }
+}
+
+// Mini app pages (*.html in the repo root) and their assets/, so one host can serve bot + apps
+const STATIC_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+};
+
+async function serveStatic(pathname, res) {
+  let rel;
+  try {
+    rel = decodeURIComponent(pathname).replace(/^\/+/, '');
+  } catch {
+    return false;
+  }
+  const ext = path.extname(rel).toLowerCase();
+  const allowed = (!rel.includes('/') && ext === '.html') || (rel.startsWith('assets/') && STATIC_TYPES[ext]);
+  if (!allowed || rel.includes('..')) return false;
+
+  try {
+    const data = await fs.promises.readFile(path.join(__dirname, rel));
+    res.writeHead(200, { 'Content-Type': STATIC_TYPES[ext], 'Cache-Control': 'public, max-age=300' });
+    res.end(data);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+httpRoute('POST', '/api/auth/verify', async (req, body) => {
+  const { user, authDate, startParam } = requireMiniAppUser(req, body);
+  return { user, auth_date: authDate, start_param: startParam };
+});
+
+// Telegram file links embed the bot token, so anything handed to Voiceflow goes through this signed proxy
+// The expiry is part of the signed payload, so a leaked link stops working after FILE_LINK_TTL_SECONDS
+function fileProxySig(fileId, exp) {
+  return createHmac('sha256', TELEGRAM_BOT_TOKEN).update(`file:${fileId}:${exp}`).digest('hex').slice(0, 32);
+}
+
+function fileProxyUrl(fileId) {
+  if (!PUBLIC_BASE_URL || !HTTP_PORT) return '';
+  const exp = Math.floor(Date.now() / 1000) + FILE_LINK_TTL_SECONDS;
+  return `${PUBLIC_BASE_URL}/api/file?id=${encodeURIComponent(fileId)}&exp=${exp}&sig=${fileProxySig(fileId, exp)}`;
+}
+
+// Query string of a /api/file link → seconds it stays valid; throws 403 when forged or expired
+function checkFileProxyLink(qp) {
+  const fileId = qp.get('id') || '';
+  const exp = qp.get('exp') || '';
+  const sig = Buffer.from(qp.get('sig') || '');
+  const want = Buffer.from(fileProxySig(fileId, exp));
+  if (!fileId || !/^\d+$/.test(exp) || sig.length !== want.length || !timingSafeEqual(sig, want)) throw new HttpError(403, 'invalid signature');
+  const ttl = Number(exp) - Math.floor(Date.now() / 1000);
+  if (ttl <= 0) throw new HttpError(403, 'link expired');
+  return ttl;
+}
+
+httpRoute('GET', '/api/file', async (req, _body, res) => {
+  const qp = new URL(req.url, 'http://localhost').searchParams;
+  const ttl = checkFileProxyLink(qp);
+  const fileId = qp.get('id');
+
+  const link = await bot.telegram.getFileLink(fileId);
+  const upstream = await api.get(link.toString(), { responseType: 'stream' });
+  res.writeHead(200, {
+    'Content-Type': upstream.headers['content-type'] || 'application/octet-stream',
+    'Cache-Control': `private, max-age=${Math.min(3600, ttl)}`,
+  });
+  // A CDN reset mid-body can't become an error response anymore; pipeline tears both sides down instead
+  pipeline(upstream.data, res, (err) => {
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.warn('[file] proxy stream failed:', err.message);
+    if (err && !res.destroyed) res.destroy(err);
+  });
+});
+
+const httpServer = http.createServer((req, res) => {
+  handleHttpRequest(req, res).catch(() => { });
+});
+
+// =====================
+// Calendly confirmation
+// =====================
+// calendly.html reports `calendly.event_scheduled` with the guest's initData; the bridge tells Voiceflow
+// and posts a confirmation with an .ics file (times need CALENDLY_API_TOKEN to look the event up).
+const CALENDLY_EVENT_URI_RE = /^https:\/\/api\.calendly\.com\/scheduled_events\/[A-Za-z0-9-]+$/;
+const CALENDLY_INVITEE_URI_RE = /^https:\/\/api\.calendly\.com\/scheduled_events\/[A-Za-z0-9-]+\/invitees\/[A-Za-z0-9-]+$/;
+const calendlyConfirmed = new PersistentMap('calendly', { ttlMs: 30 * 24 * 3600 * 1000 }); // event uuid -> { userId, at }
+
+function icsEscape(v) {
+  return String(v ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+function icsDate(d) {
+  return new Date(d).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// RFC 5545 lines are folded at 75 octets
+function icsFold(line) {
+  const out = [];
+  let cur = '';
+  for (const ch of line) {
+    if (Buffer.byteLength(cur + ch, 'utf8') > (out.length ? 74 : 75)) {
+      out.push(cur);
+      cur = '';
+    }
+    cur += ch;
+  }
+  out.push(cur);
+  return out.join('\r\n ');
+}
+
+/** Single-event iCalendar file: { uid, start, end, summary, description?, location?, url? } → string */
+function buildIcs({ uid, start, end, summary, description, location, url }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//vf-telegram-bridge//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'BEGIN:VEVENT',
+    `UID:${icsEscape(uid)}`,
+    `DTSTAMP:${icsDate(Date.now())}`,
+    `DTSTART:${icsDate(start)}`,
+    `DTEND:${icsDate(end || start)}`,
+    `SUMMARY:${icsEscape(summary)}`,
+    description ? `DESCRIPTION:${icsEscape(description)}` : '',
+    location ? `LOCATION:${icsEscape(location)}` : '',
+    url ? `URL:${url}` : '',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].filter(Boolean);
+  return lines.map(icsFold).join('\r\n') + '\r\n';
+}
+
+async function fetchCalendlyDetails(eventUri, inviteeUri) {
+  if (!CALENDLY_API_TOKEN) return null;
+  const headers = { Authorization: `Bearer ${CALENDLY_API_TOKEN}` };
+  const [ev, inv] = await Promise.all([
+    api.get(eventUri, { headers }),
+    inviteeUri ? api.get(inviteeUri, { headers }).catch(() => null) : null,
+  ]);
+  const e = ev.data?.resource || {};
+  const i = inv?.data?.resource || {};
+  return {
+    name: e.name || '',
+    start: e.start_time,
+    end: e.end_time,
+    location: e.location?.join_url || e.location?.location || '',
+    timezone: i.timezone || 'UTC',
+    cancelUrl: i.cancel_url || '',
+    rescheduleUrl: i.reschedule_url || '',
+  };
+}
+
+// Cancelling or rescheduling through Calendly's own links cancels the event there, not in the bridge
+async function isCalendlyEventActive(uuid) {
+  if (!CALENDLY_API_TOKEN) return true;
+  try {
+    const res = await api.get(`https://api.calendly.com/scheduled_events/${encodeURIComponent(uuid)}`, {
+      headers: { Authorization: `Bearer ${CALENDLY_API_TOKEN}` },
+    });
+    return res.data?.resource?.status !== 'canceled';
+  } catch (e) {
+    if (e?.response?.status === 404) return false;
+    throw e; // the job is retried
+  }
+}
+
+function formatWhen(ctx, iso, timeZone = 'UTC') {
+  try {
+    return new Date(iso).toLocaleString(localeFor(ctx), { dateStyle: 'full', timeStyle: 'short', timeZone });
+  } catch {
+    return new Date(iso).toUTCString();
+  }
+}
+
+async function confirmCalendlyBooking(user, { eventUri, inviteeUri }) {
+  const details = await fetchCalendlyDetails(eventUri, inviteeUri).catch((e) => {
+    console.warn('[calendly] event lookup failed:', e?.response?.status || e?.message || e);
+    return null;
+  });
+  const ctx = await privateChatContext(user);
+
+  const data = {
+    event_uri: eventUri,
+    invitee_uri: inviteeUri || '',
+    event_name: details?.name || '',
+    start_time: details?.start || '',
+    end_time: details?.end || '',
+  };
+  await runProactiveTurn(ctx, {
+    kind: 'calendly',
+    request: webAppDataToVoiceflowRequest({ event: 'calendly_event_scheduled', data }),
+  });
+
+  if (!details?.start) {
+    await ctx.reply(tr(ctx, 'calendly.confirmed_short'));
+    return;
+  }
+
+  const when = formatWhen(ctx, details.start, details.timezone);
+  scheduleBookingJobs(user, {
+    kind: 'calendly',
+    ref: eventUri.split('/').pop(),
+    startMs: Date.parse(details.start),
+    endMs: Date.parse(details.end),
+    template: 'reminder.calendly',
+    vars: { name: esc(details.name), when: esc(when) },
+    title: details.name,
+  });
+  const caption = tr(ctx, 'calendly.confirmed', { name: esc(details.name), when: esc(when) });
+  const links = [
+    details.rescheduleUrl ? { text: tr(ctx, 'calendly.reschedule'), url: details.rescheduleUrl } : null,
+    details.cancelUrl ? { text: tr(ctx, 'calendly.cancel'), url: details.cancelUrl } : null,
+  ].filter(Boolean);
+  const ics = buildIcs({
+    uid: `${eventUri.split('/').pop()}@calendly.com`,
+    start: details.start,
+    end: details.end,
+    summary: details.name,
+    location: details.location,
+    url: details.rescheduleUrl,
+  });
+  await ctx.replyWithDocument(
+    { source: Buffer.from(ics, 'utf8'), filename: 'booking.ics' },
+    { caption, parse_mode: 'HTML', reply_markup: links.length ? { inline_keyboard: [links] } : undefined }
+  );
+}
+
+httpRoute('POST', '/api/calendly/scheduled', async (req, body) => {
+  const { user } = requireMiniAppUser(req, body);
+  const eventUri = String(body.event_uri || body.payload?.event?.uri || '');
+  const inviteeUri = String(body.invitee_uri || body.payload?.invitee?.uri || '');
+  // These URIs are fetched with our token, so only Calendly's own API hosts are accepted
+  if (!CALENDLY_EVENT_URI_RE.test(eventUri)) throw new HttpError(400, 'invalid event_uri');
+  if (inviteeUri && !CALENDLY_INVITEE_URI_RE.test(inviteeUri)) throw new HttpError(400, 'invalid invitee_uri');
+
+  const key = eventUri.split('/').pop();
+  if (await calendlyConfirmed.load(key)) return { duplicate: true };
+  calendlyConfirmed.set(key, { userId: user.id, at: Date.now() });
+  console.log(`[calendly] event scheduled by ${user.id}: ${key}`);
+
+  // Answer the mini app right away; the chat catches up in the background
+  confirmCalendlyBooking(user, { eventUri, inviteeUri }).catch((e) =>
+    console.error('[calendly] confirmation failed:', e?.message || e)
+  );
+  return { received: true };
+});
+
+// =====================
+// Data files
+// =====================
+// Small JSON documents under DATA_DIR, loaded once and rewritten atomically (tmp + rename) after changes.
+// Writes are serialized per file; callers mutate `data` synchronously, then save().
+const dataFiles = [];
+
+class JsonFileStore {
+  constructor(name, initial) {
+    this.file = path.join(DATA_DIR, `${name}.json`);
+    this.writing = Promise.resolve();
+    try {
+      this.data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.error(`[data] could not read ${this.file}, starting empty:`, e?.message || e);
+      this.data = initial;
+    }
+    dataFiles.push(this);
+  }
+
+  save() {
+    const snapshot = JSON.stringify(this.data);
+    this.writing = this.writing
+      .then(async () => {
+        await fs.promises.mkdir(DATA_DIR, { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        await fs.promises.writeFile(tmp, snapshot);
+        await fs.promises.rename(tmp, this.file);
+      })
+      .catch((e) => console.error(`[data] write failed for ${this.file}:`, e?.message || e));
+    return this.writing;
+  }
+}
+
+async function flushDataFiles() {
+  await Promise.all(dataFiles.map((f) => f.writing));
+}
+
+// Short, unambiguous booking references (no 0/O, 1/I)
+const REF_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+function newBookingRef(prefix, taken) {
+  for (;;) {
+    const bytes = createHash('sha256').update(randomUUID()).digest();
+    let ref = `${prefix}-`;
+    for (let i = 0; i < 6; i += 1) ref += REF_ALPHABET[bytes[i] % REF_ALPHABET.length];
+    if (!taken(ref)) return ref;
+  }
+}
+
+// "YYYY-MM-DD" + "HH:MM" in a fixed UTC offset → epoch ms
+function localSlotToMs(date, time, offsetHours = LOCAL_UTC_OFFSET_HOURS) {
+  const [y, m, d] = date.split('-').map(Number);
+  const [hh, mm] = time.split(':').map(Number);
+  return Date.UTC(y, m - 1, d, hh, mm) - offsetHours * 3600 * 1000;
+}
+
+function localDateString(tsMs, offsetHours = LOCAL_UTC_OFFSET_HOURS) {
+  return new Date(tsMs + offsetHours * 3600 * 1000).toISOString().slice(0, 10);
+}
+
+// The date/slot part of a mini app request, validated against a booking window
+function parseBookingDate(date, { windowDays, offsetHours }) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date || ''))) throw new HttpError(400, 'date must be YYYY-MM-DD');
+  const today = localDateString(Date.now(), offsetHours);
+  const last = localDateString(Date.now() + windowDays * 24 * 3600 * 1000, offsetHours);
+  if (date < today || date > last) throw new HttpError(400, `date must be between ${today} and ${last}`);
+  return date;
+}
+
+// =====================
+// Scheduler (reminders, follow-ups, proactive events)
+// =====================
+// Jobs live in DATA_DIR so they survive restarts; anything that came due while the bridge was down
+// runs on the first tick. Handlers are looked up by job kind; `key` makes scheduling idempotent and
+// lets a booking cancel its own jobs by prefix (e.g. `spa:SPA-ABC123:`).
+const RATE_PREFIX = 'RATE:';
+const JOB_MAX_ATTEMPTS = 3;
+const JOB_RETENTION_MS = 7 * 24 * 3600 * 1000;
+const schedulerStore = new JsonFileStore('scheduled-jobs', { jobs: [] });
+const jobHandlers = new Map();
+let schedulerTimer = null;
+let schedulerRunning = false;
+
+function registerJobHandler(kind, fn) {
+  jobHandlers.set(kind, fn);
+}
+
+/** Adds a job, replacing a pending one with the same key. user: { id, first_name?, language_code? } */
+function scheduleJob({ kind, user, runAt, key = '', payload = {} }) {
+  const jobs = schedulerStore.data.jobs;
+  if (key) {
+    const existing = jobs.find((j) => j.key === key && j.status === 'pending');
+    if (existing) existing.status = 'replaced';
+  }
+  const job = {
+    id: randomUUID().slice(0, 8),
+    kind,
+    key,
+    user: { id: Number(user.id), first_name: user.first_name || '', language_code: user.language_code },
+    runAt: Number(runAt),
+    payload,
+    status: 'pending',
+    attempts: 0,
+    createdAt: Date.now(),
+  };
+  jobs.push(job);
+  schedulerStore.save();
+  if (DEBUG_STREAM) console.log(`[scheduler] ${job.id} ${kind} for ${job.user.id} at ${new Date(job.runAt).toISOString()}${key ? ` (${key})` : ''}`);
+  return job;
+}
+
+function cancelJobs(keyPrefix) {
+  let n = 0;
+  for (const j of schedulerStore.data.jobs) {
+    if (j.status === 'pending' && j.key.startsWith(keyPrefix)) {
+      j.status = 'cancelled';
+      n += 1;
+    }
+  }
+  if (n) schedulerStore.save();
+  return n;
+}
+
+// Same queued send the streaming renderer uses, for messages that have no incoming update (see privateChatContext)
+function viaTransport(chatId, fn) {
+  return new Promise((resolve, reject) => {
+    transport.enqueue(chatId, async () => {
+      try {
+        resolve(await fn());
+      } catch (e) {
+        // A rate-limited task is retried by the transport and settles this promise then
+        if (!isRateLimited(e)) reject(e);
+        throw e;
+      }
+    });
+  });
+}
+
+async function runDueJobs() {
+  if (schedulerRunning) return;
+  schedulerRunning = true;
+  try {
+    const now = Date.now();
+    const due = schedulerStore.data.jobs.filter((j) => j.status === 'pending' && j.runAt <= now).sort((a, b) => a.runAt - b.runAt);
+    for (const job of due) {
+      const handler = jobHandlers.get(job.kind);
+      try {
+        if (!handler) throw new Error(`no handler for job kind "${job.kind}"`);
+        await handler(job);
+        job.status = 'done';
+      } catch (e) {
+        job.attempts += 1;
+        job.lastError = String(e?.message || e);
+        // Back off 1, 2, 4… minutes; users who blocked the bot won't come back by retrying
+        const blocked = e?.response?.error_code === 403;
+        job.status = blocked || job.attempts >= JOB_MAX_ATTEMPTS ? 'failed' : 'pending';
+        job.runAt = Date.now() + 2 ** (job.attempts - 1) * 60 * 1000;
+        console.warn(`[scheduler] ${job.id} ${job.kind} failed (attempt ${job.attempts}): ${job.lastError}`);
+      }
+      job.updatedAt = Date.now();
+    }
+    const cutoff = now - JOB_RETENTION_MS;
+    schedulerStore.data.jobs = schedulerStore.data.jobs.filter((j) => j.status === 'pending' || (j.updatedAt || j.createdAt) > cutoff);
+    if (due.length) await schedulerStore.save();
+  } finally {
+    schedulerRunning = false;
+  }
+}
+
+function startScheduler() {
+  if (!SCHEDULER_ENABLED || schedulerTimer) return;
+  const pending = schedulerStore.data.jobs.filter((j) => j.status === 'pending').length;
+  console.log(`[system] Scheduler: ${pending} pending job(s), tick ${SCHEDULER_TICK_SECONDS}s`);
+  schedulerTimer = setInterval(() => {
+    runDueJobs().catch((e) => console.error('[scheduler] tick failed:', e?.message || e));
+  }, SCHEDULER_TICK_SECONDS * 1000);
+  schedulerTimer.unref();
+}
+
+function stopScheduler() {
+  if (schedulerTimer) clearInterval(schedulerTimer);
+  schedulerTimer = null;
+}
+
+/**
+ * Reminders REMINDER_LEAD_MINUTES before a booking and a rating prompt FOLLOWUP_DELAY_MINUTES after it.
+ * kind/ref identify the booking (`${kind}:${ref}:` is the job key prefix); template/vars render the reminder.
+ */
+function scheduleBookingJobs(user, { kind, ref, startMs, endMs, template, vars, title }) {
+  const now = Date.now();
+  for (const lead of REMINDER_LEAD_MINUTES) {
+    const runAt = startMs - lead * 60 * 1000;
+    if (runAt > now) scheduleJob({ kind: 'reminder', user, runAt, key: `${kind}:${ref}:reminder:${lead}`, payload: { kind, ref, template, vars, startMs } });
+  }
+  if (FOLLOWUP_DELAY_MINUTES > 0) {
+    scheduleJob({
+      kind: 'followup',
+      user,
+      runAt: (endMs || startMs) + FOLLOWUP_DELAY_MINUTES * 60 * 1000,
+      key: `${kind}:${ref}:followup`,
+      payload: { kind, ref, title },
+    });
+  }
+}
+
+// Bookings that can change outside the bridge are looked up again before anything is sent about them.
+// kind -> async (ref) => false once the booking is cancelled; bookings made here cancel their jobs instead.
+const bookingStatusChecks = new Map([['calendly', isCalendlyEventActive]]);
+
+async function isBookingStillOn(kind, ref) {
+  const check = bookingStatusChecks.get(kind);
+  if (!check || !ref) return true;
+  const on = await check(ref);
+  if (!on) console.log(`[scheduler] ${kind}:${ref} was cancelled, skipping`);
+  return on;
+}
+
+registerJobHandler('reminder', async (job) => {
+  const { kind, ref, template, vars, startMs } = job.payload;
+  if (startMs && startMs <= Date.now()) return; // came due while we were down; too late to remind
+  if (!(await isBookingStillOn(kind, ref))) return;
+  const ctx = await privateChatContext(job.user);
+  await ctx.reply(tr(ctx, template, vars), { parse_mode: 'HTML' });
+});
+
+registerJobHandler('followup', async (job) => {
+  const { kind, ref, title } = job.payload;
+  if (!(await isBookingStillOn(kind, ref))) return;
+  const ctx = await privateChatContext(job.user);
+  const stars = [1, 2, 3, 4, 5].map((n) => ({ text: '⭐'.repeat(n), callback_data: `${RATE_PREFIX}${kind}:${ref}:${n}` }));
+  await ctx.reply(tr(ctx, 'followup.prompt', { title: esc(title) }), {
+    parse_mode: 'HTML',
+    reply_markup: { inline_keyboard: [stars.slice(0, 3), stars.slice(3)] },
+  });
+});
+
+// A Voiceflow event on the guest's behalf (e.g. `checkout_tomorrow`); privateChatContext sends the reply through the transport
+registerJobHandler('event', async (job) => {
+  const { event, data } = job.payload;
+  const ctx = await privateChatContext(job.user);
+  await runProactiveTurn(ctx, { kind: 'scheduled', request: webAppDataToVoiceflowRequest({ event, data: data || {} }) });
+});
+
+registerJobHandler('message', async (job) => {
+  const ctx = await privateChatContext(job.user);
+  await ctx.reply(job.payload.text, { disable_web_page_preview: true });
+});
+
+// "+30m", "+2h", "+1d" or anything Date.parse understands → epoch ms (NaN when unreadable)
+function parseWhen(s) {
+  const rel = /^\+(\d+)([mhd])$/i.exec(String(s || ''));
+  if (rel) return Date.now() + Number(rel[1]) * { m: 60e3, h: 3600e3, d: 86400e3 }[rel[2].toLowerCase()];
+  return Date.parse(s);
+}
+
+// =====================
+// Dining reservations
+// =====================
+// Venues come from DINING_VENUES_CONFIG (JSON/YAML): mini app content (name, deck, img, menu…) plus
+// table areas with `tables: { seats: count }`, bookable `slots`, `turnMinutes` a table stays taken,
+// `maxPartySize` and `bookingWindowDays`. `defaults` applies to every venue that doesn't override it.
+const diningStore = new JsonFileStore('dining-reservations', { reservations: [] });
+
+function loadDiningVenues() {
+  let cfg = null;
+  try {
+    cfg = readConfigFile(DINING_VENUES_CONFIG);
+  } catch (e) {
+    console.error(`[dining] invalid ${DINING_VENUES_CONFIG}:`, e?.message || e);
+  }
+  const defaults = cfg?.defaults || {};
+  const venues = (Array.isArray(cfg?.venues) ? cfg.venues : []).map((v) => {
+    const merged = { ...defaults, ...v };
+    return {
+      ...merged,
+      id: String(merged.id),
+      slots: (merged.slots || []).map(String).sort(),
+      turnMinutes: Number(merged.turnMinutes) || 120,
+      maxPartySize: Number(merged.maxPartySize) || 8,
+      bookingWindowDays: Number(merged.bookingWindowDays) || 14,
+      utcOffsetHours: Number(merged.utcOffsetHours ?? LOCAL_UTC_OFFSET_HOURS),
+      areas: (merged.areas || []).map((a) => ({
+        id: String(a.id),
+        name: String(a.name || a.id),
+        tables: Object.entries(a.tables || {})
+          .map(([seats, count]) => ({ seats: Number(seats), count: Number(count) }))
+          .filter((t) => t.seats > 0 && t.count > 0)
+          .sort((x, y) => x.seats - y.seats),
+      })),
+    };
+  });
+  console.log(`[system] Dining venues: ${venues.length ? venues.map((v) => v.id).join(', ') : '⚠️ none'}`);
+  return venues;
+}
+
+const diningVenues = loadDiningVenues();
+
+function diningVenue(id) {
+  const venue = diningVenues.find((v) => v.id === String(id || ''));
+  if (!venue) throw new HttpError(404, 'unknown venue');
+  return venue;
+}
+
+function diningArea(venue, id) {
+  const area = venue.areas.find((a) => a.id === String(id || ''));
+  if (!area) throw new HttpError(400, 'unknown table area');
+  return area;
+}
+
+function parsePartySize(venue, size) {
+  const n = Number(size);
+  if (!Number.isInteger(n) || n < 1 || n > venue.maxPartySize) throw new HttpError(400, `party size must be 1-${venue.maxPartySize}`);
+  return n;
+}
+
+// Smallest free table that seats the party in this area at this slot, or null
+function freeDiningTable(venue, area, date, time, size) {
+  const start = localSlotToMs(date, time, venue.utcOffsetHours);
+  const end = start + venue.turnMinutes * 60 * 1000;
+  const taken = new Map(); // seats -> tables in use during [start, end)
+  for (const r of diningStore.data.reservations) {
+    if (r.status !== 'confirmed' || r.venueId !== venue.id || r.areaId !== area.id) continue;
+    if (r.startMs < end && start < r.endMs) taken.set(r.tableSeats, (taken.get(r.tableSeats) || 0) + 1);
+  }
+  const table = area.tables.find((t) => t.seats >= size && t.count - (taken.get(t.seats) || 0) > 0);
+  if (!table) return null;
+  return { seats: table.seats, left: table.count - (taken.get(table.seats) || 0), startMs: start, endMs: end };
+}
+
+function diningAvailability(venue, date, size) {
+  const now = Date.now();
+  return venue.areas.map((area) => ({
+    id: area.id,
+    name: area.name,
+    slots: venue.slots.map((time) => {
+      const past = localSlotToMs(date, time, venue.utcOffsetHours) <= now;
+      const table = past ? null : freeDiningTable(venue, area, date, time, size);
+      return { time, available: !!table, tablesLeft: table?.left || 0 };
+    }),
+  }));
+}
+
+function publicDiningReservation(r) {
+  const { userId, ...rest } = r;
+  return rest;
+}
+
+async function notifyDiningReservation(user, r, { cancelled = false } = {}) {
+  const ctx = await privateChatContext(user);
+  const vars = { id: esc(r.id), venue: esc(r.venueName), area: esc(r.areaName), size: r.size, when: esc(`${r.date} ${r.time}`) };
+
+  await runProactiveTurn(ctx, {
+    kind: 'dining',
+    request: webAppDataToVoiceflowRequest({
+      event: cancelled ? 'dining_reservation_cancelled' : 'dining_reservation',
+      data: {
+        id: r.id,
+        restaurant: r.venueName,
+        restaurantId: r.venueId,
+        size: r.size,
+        date: r.date,
+        time: r.time,
+        table: r.areaName,
+        name: r.name,
+      },
+    }),
+  });
+
+  if (cancelled) {
+    await ctx.reply(tr(ctx, 'dining.cancelled', vars), { parse_mode: 'HTML' });
+    return;
+  }
+  const ics = buildIcs({
+    uid: `${r.id}@dining`,
+    start: r.startMs,
+    end: r.endMs,
+    summary: `${r.venueName} · ${r.size}`,
+    description: `${r.areaName}\nRef ${r.id}`,
+    location: r.venueLocation || r.venueName,
+  });
+  await ctx.replyWithDocument(
+    { source: Buffer.from(ics, 'utf8'), filename: `${r.id}.ics` },
+    { caption: tr(ctx, 'dining.confirmed', vars), parse_mode: 'HTML' }
+  );
+}
+
+httpRoute('GET', '/api/dining/venues', async () => {
+  return {
+    venues: diningVenues.map(({ areas, ...v }) => ({ ...v, areas: areas.map((a) => ({ id: a.id, name: a.name })) })),
+  };
+});
+
+httpRoute('GET', '/api/dining/availability', async (req) => {
+  const qp = new URL(req.url, 'http://localhost').searchParams;
+  const venue = diningVenue(qp.get('venue'));
+  const date = parseBookingDate(qp.get('date'), { windowDays: venue.bookingWindowDays, offsetHours: venue.utcOffsetHours });
+  const size = parsePartySize(venue, qp.get('size'));
+  return { venue: venue.id, date, size, areas: diningAvailability(venue, date, size) };
+});
+
+httpRoute('GET', '/api/dining/reservations', async (req, body) => {
+  const { user } = requireMiniAppUser(req, body);
+  const mine = diningStore.data.reservations
+    .filter((r) => String(r.userId) === String(user.id) && r.endMs > Date.now())
+    .sort((a, b) => a.startMs - b.startMs);
+  return { reservations: mine.map(publicDiningReservation) };
+});
+
+httpRoute('POST', '/api/dining/reservations', async (req, body) => {
+  const { user } = requireMiniAppUser(req, body);
+  const venue = diningVenue(body.venue);
+  const area = diningArea(venue, body.area);
+  const date = parseBookingDate(body.date, { windowDays: venue.bookingWindowDays, offsetHours: venue.utcOffsetHours });
+  const size = parsePartySize(venue, body.size);
+  const time = String(body.time || '');
+  if (!venue.slots.includes(time)) throw new HttpError(400, 'unknown time slot');
+  if (localSlotToMs(date, time, venue.utcOffsetHours) <= Date.now()) throw new HttpError(400, 'time slot has passed');
+  const name = String(body.name || '').trim().slice(0, 80);
+  const contact = String(body.contact || '').trim().slice(0, 120);
+  if (!name || !contact) throw new HttpError(400, 'name and contact are required');
+
+  // Check and insert in the same tick, so two requests can't both take the last table
+  const table = freeDiningTable(venue, area, date, time, size);
+  if (!table) throw new HttpError(409, 'no table available for this party size and time');
+
+  const reservation = {
+    id: newBookingRef('D', (ref) => diningStore.data.reservations.some((r) => r.id === ref)),
+    status: 'confirmed',
+    userId: user.id,
+    venueId: venue.id,
+    venueName: venue.name,
+    venueLocation: venue.deck || '',
+    areaId: area.id,
+    areaName: area.name,
+    tableSeats: table.seats,
+    size,
+    date,
+    time,
+    startMs: table.startMs,
+    endMs: table.endMs,
+    name,
+    contact,
+    notes: String(body.notes || '').trim().slice(0, 300),
+    createdAt: Date.now(),
+  };
+  diningStore.data.reservations.push(reservation);
+  await diningStore.save();
+  console.log(`[dining] ${reservation.id}: ${venue.id}/${area.id} ${date} ${time} for ${size} by ${user.id}`);
+
+  notifyDiningReservation(user, reservation).catch((e) => console.error('[dining] confirmation failed:', e?.message || e));
+  scheduleBookingJobs(user, {
+    kind: 'dining',
+    ref: reservation.id,
+    startMs: reservation.startMs,
+    endMs: reservation.endMs,
+    template: 'reminder.dining',
+    vars: { id: esc(reservation.id), venue: esc(venue.name), when: esc(`${date} ${time}`), size },
+    title: venue.name,
+  });
+  return { reservation: publicDiningReservation(reservation) };
+});
+
+httpRoute('DELETE', '/api/dining/reservations', async (req, body) => {
+  const { user } = requireMiniAppUser(req, body);
+  const id = String(body.id || new URL(req.url, 'http://localhost').searchParams.get('id') || '');
+  const r = diningStore.data.reservations.find((x) => x.id === id && String(x.userId) === String(user.id));
+  if (!r) throw new HttpError(404, 'reservation not found');
+  if (r.status === 'cancelled') return { reservation: publicDiningReservation(r) };
+  if (r.startMs <= Date.now()) throw new HttpError(409, 'reservation has already started');
+
+  r.status = 'cancelled';
+  r.cancelledAt = Date.now();
+  await diningStore.save();
+  console.log(`[dining] ${r.id} cancelled by ${user.id}`);
+
+  cancelJobs(`dining:${r.id}:`);
+  notifyDiningReservation(user, r, { cancelled: true }).catch((e) => console.error('[dining] cancellation notice failed:', e?.message || e));
+  return { reservation: publicDiningReservation(r) };
+});
+
+// =====================
+// Marketplace orders
+// =====================
+// Catalog from MARKETPLACE_CATALOG_CONFIG (JSON/YAML): { currency, categories, products: [{ id, name, price, stock, … }] }.
+// `stock` is the total ever put on sale; what is left is derived from the orders that still hold units,
+// so restocking means raising `stock` by the number of units added.
+const ORDER_PREFIX = 'ORD:';
+const ORDER_HOLDING = new Set(['awaiting_payment', 'placed', 'preparing', 'out_for_delivery', 'delivered']);
+// Staff move an order forward through these; `cancelled` is available until it is delivered
+const ORDER_FLOW = ['placed', 'preparing', 'out_for_delivery', 'delivered'];
+const marketplaceStore = new JsonFileStore('marketplace-orders', { orders: [] });
+
+function loadMarketplaceCatalog() {
+  let cfg = null;
+  try {
+    cfg = readConfigFile(MARKETPLACE_CATALOG_CONFIG);
+  } catch (e) {
+    console.error(`[marketplace] invalid ${MARKETPLACE_CATALOG_CONFIG}:`, e?.message || e);
+  }
+  const products = (Array.isArray(cfg?.products) ? cfg.products : []).map((p) => ({
+    ...p,
+    id: String(p.id),
+    price: Number(p.price) || 0,
+    stock: Number(p.stock ?? 0),
+  }));
+  const currency = String(cfg?.currency || 'USD').toUpperCase();
+  console.log(`[system] Marketplace: ${products.length} product(s) in ${currency}`);
+  return { currency, categories: cfg?.categories || [...new Set(products.map((p) => p.category).filter(Boolean))], products };
+}
+
+const marketplaceCatalog = loadMarketplaceCatalog();
+
+// Minor units per major unit for the catalog currency (Telegram invoices are in minor units)
+const currencyExponent = new Intl.NumberFormat('en', { style: 'currency', currency: marketplaceCatalog.currency }).resolvedOptions()
+  .maximumFractionDigits;
+
+function formatMoney(ctx, amount, currency = marketplaceCatalog.currency) {
+  return new Intl.NumberFormat(localeFor(ctx), { style: 'currency', currency }).format(amount);
+}
+
+function unitsHeld(productId) {
+  let n = 0;
+  for (const o of marketplaceStore.data.orders) {
+    if (!ORDER_HOLDING.has(o.status)) continue;
+    for (const it of o.items) if (it.id === productId) n += it.qty;
+  }
+  return n;
+}
+
+function stockLeft(product) {
+  return Math.max(0, product.stock - unitsHeld(product.id));
+}
+
+function marketplaceOrder(id) {
+  return marketplaceStore.data.orders.find((o) => o.id === String(id || '').toUpperCase()) || null;
+}
+
+function publicOrder(o) {
+  const { userId, chargeId, providerChargeId, ...rest } = o;
+  return rest;
+}
+
+function orderItemsText(o) {
+  return o.items.map((it) => `${it.qty} × ${esc(it.name)}`).join('\n');
+}
+
+// Unpaid orders give their units back after MARKETPLACE_PAYMENT_TTL_MIN
+async function expireUnpaidOrders() {
+  const cutoff = Date.now() - MARKETPLACE_PAYMENT_TTL_MIN * 60 * 1000;
+  const expired = marketplaceStore.data.orders.filter((o) => o.status === 'awaiting_payment' && o.createdAt < cutoff);
+  if (!expired.length) return;
+  for (const o of expired) {
+    o.status = 'expired';
+    o.updatedAt = Date.now();
+    console.log(`[marketplace] ${o.id} expired unpaid`);
+  }
+  await marketplaceStore.save();
+  for (const o of expired) notifyOrderStatus(o).catch((e) => console.error('[marketplace] status notice failed:', e?.message || e));
+}
+
+setInterval(() => {
+  expireUnpaidOrders().catch((e) => console.error('[marketplace] expiry sweep failed:', e?.message || e));
+}, 60 * 1000).unref();
+
+// Status line in the guest's chat; staff get the same change in the orders chat
+async function notifyOrderStatus(o, { by } = {}) {
+  const ctx = await privateChatContext({ id: o.userId, first_name: o.name, language_code: o.languageCode });
+  const status = tr(ctx, `order.status.${o.status}`);
+  await ctx.reply(tr(ctx, 'order.status', { id: esc(o.id), status: esc(status) }), { parse_mode: 'HTML' });
+  if (by) await postOrderToStaff(o, { by });
+}
+
+function staffOrderKeyboard(o) {
+  const i = ORDER_FLOW.indexOf(o.status);
+  const next = i >= 0 && i < ORDER_FLOW.length - 1 ? ORDER_FLOW[i + 1] : null;
+  const row = [];
+  if (next) row.push({ text: `→ ${next.replace(/_/g, ' ')}`, callback_data: `${ORDER_PREFIX}${o.id}:${next}` });
+  if (o.status !== 'delivered' && o.status !== 'cancelled') row.push({ text: '✖ cancel', callback_data: `${ORDER_PREFIX}${o.id}:cancelled` });
+  return row.length ? { inline_keyboard: [row] } : undefined;
+}
+
+function staffOrderText(o) {
+  const pay = o.payment === 'room' ? `room ${esc(o.room)}` : o.paidAt ? 'paid (Telegram)' : 'awaiting payment';
+  return [
+    `🛍 <b>${esc(o.id)}</b> · ${esc(o.status.replace(/_/g, ' '))}`,
+    `${esc(o.name)} (${o.userId}) · ${pay}`,
+    orderItemsText(o),
+    `<b>${esc(`${o.total} ${o.currency}`)}</b>`,
+    o.notes ? `📝 ${esc(o.notes)}` : '',
+  ]
+    .filter(Boolean)
+    .join('\n');
+}
+
+async function postOrderToStaff(o, { by } = {}) {
+  if (!MARKETPLACE_ORDERS_CHAT_ID) return;
+  const text = by ? `${staffOrderText(o)}\n<i>by ${esc(by)}</i>` : staffOrderText(o);
+  await bot.telegram.sendMessage(MARKETPLACE_ORDERS_CHAT_ID, text, { parse_mode: 'HTML', reply_markup: staffOrderKeyboard(o) });
+}
+
+// Paid after expiry or a staff cancel: its stock is already released, so the order stays closed.
+// Stars can be refunded from here; provider payments are refunded by staff in the provider's dashboard.
+async function handleLatePayment(ctx, o, payment) {
+  o.paidAt = Date.now();
+  o.updatedAt = Date.now();
+  o.chargeId = payment.telegram_payment_charge_id;
+  o.providerChargeId = payment.provider_payment_charge_id;
+  o.paymentIssue = `paid while ${o.status}`;
+
+  let refunded = false;
+  if (payment.currency === 'XTR') {
+    try {
+      await ctx.telegram.callApi('refundStarPayment', { user_id: ctx.from.id, telegram_payment_charge_id: payment.telegram_payment_charge_id });
+      o.refundedAt = Date.now();
+      refunded = true;
+    } catch (err) {
+      console.error(`[marketplace] star refund for ${o.id} failed:`, err?.message || err);
+    }
+  }
+  await marketplaceStore.save();
+  console.warn(`[marketplace] ${o.id} paid while ${o.status} (${payment.total_amount} ${payment.currency}), ${refunded ? 'refunded' : 'needs a refund'}`);
+
+  await ctx.reply(tr(ctx, refunded ? 'order.payment_refunded' : 'order.payment_review', { id: esc(o.id) }), { parse_mode: 'HTML' });
+  if (!refunded && MARKETPLACE_ORDERS_CHAT_ID) {
+    const charge = [payment.provider_payment_charge_id, payment.telegram_payment_charge_id].filter(Boolean).map(esc).join(' / ');
+    await bot.telegram.sendMessage(
+      MARKETPLACE_ORDERS_CHAT_ID,
+      `⚠️ <b>Refund needed</b>: ${esc(o.id)} was paid after it was ${esc(o.status)}.\n${esc(`${o.total} ${o.currency}`)} · charge <code>${charge}</code>`,
+      { parse_mode: 'HTML' }
+    );
+  }
+}
+
+async function setOrderStatus(o, status, { by }) {
+  if (status === o.status) return o;
+  // Orders only move forward along ORDER_FLOW (skipping steps is fine); a delivered order is final
+  const allowed = status === 'cancelled'
+    ? ORDER_HOLDING.has(o.status) && o.status !== 'delivered'
+    : ORDER_FLOW.includes(o.status) && ORDER_FLOW.indexOf(status) > ORDER_FLOW.indexOf(o.status);
+  if (!allowed) {
+    throw new Error(`can't move ${o.id} from ${o.status} to ${status}`);
+  }
+  o.status = status;
+  o.updatedAt = Date.now();
+  await marketplaceStore.save();
+  console.log(`[marketplace] ${o.id} → ${status} by ${by}`);
+  await notifyOrderStatus(o, { by });
+  return o;
+}
+
+// The order reaches Voiceflow as the same event the old sendData checkout produced
+async function orderPlacedTurn(ctx, o) {
+  await runProactiveTurn(ctx, {
+    kind: 'marketplace',
+    request: webAppDataToVoiceflowRequest({
+      event: 'marketplace_checkout',
+      data: {
+        id: o.id,
+        items: o.items.map(({ id, name, price, qty }) => ({ id, name, price, qty })),
+        total: o.total,
+        currency: o.currency,
+        payment: o.payment,
+        room: o.room || '',
+      },
+    }),
+  });
+}
+
+async function confirmRoomCharge(user, o) {
+  const ctx = await privateChatContext(user);
+  await orderPlacedTurn(ctx, o);
+  await ctx.reply(
+    tr(ctx, 'order.room_charged', { id: esc(o.id), total: esc(formatMoney(ctx, o.total)), room: esc(o.room), items: orderItemsText(o) }),
+    { parse_mode: 'HTML' }
+  );
+  await postOrderToStaff(o);
+}
+
+async function sendOrderInvoice(user, o) {
+  const ctx = await privateChatContext(user);
+  const scale = 10 ** currencyExponent;
+  await ctx.replyWithInvoice({
+    title: tr(ctx, 'order.invoice_title', { id: o.id }),
+    description: tr(ctx, 'order.invoice_description', { count: o.items.reduce((n, it) => n + it.qty, 0) }),
+    payload: o.id,
+    provider_token: PAYMENTS_PROVIDER_TOKEN,
+    currency: o.currency,
+    prices: o.items.map((it) => ({ label: `${it.qty} × ${it.name}`.slice(0, 64), amount: Math.round(it.price * it.qty * scale) })),
+  });
+}
+
+httpRoute('GET', '/api/marketplace/catalog', async () => {
+  await expireUnpaidOrders();
+  return {
+    currency: marketplaceCatalog.currency,
+    categories: marketplaceCatalog.categories,
+    payments: { room: MARKETPLACE_ROOM_CHARGE, telegram: !!PAYMENTS_PROVIDER_TOKEN },
+    products: marketplaceCatalog.products.map(({ stock, ...p }) => ({ ...p, inStock: stockLeft({ stock, id: p.id }) })),
+  };
+});
+
+httpRoute('GET', '/api/marketplace/orders', async (req, body) => {
+  const { user } = requireMiniAppUser(req, body);
+  const mine = marketplaceStore.data.orders
+    .filter((o) => String(o.userId) === String(user.id))
+    .sort((a, b) => b.createdAt - a.createdAt);
+  return { orders: mine.map(publicOrder) };
+});
+
+httpRoute('POST', '/api/marketplace/orders', async (req, body) => {
+  const { user } = requireMiniAppUser(req, body);
+  await expireUnpaidOrders();
+
+  const payment = String(body.payment || '');
+  if (payment === 'room' && !MARKETPLACE_ROOM_CHARGE) throw new HttpError(400, 'room charge is not available');
+  if (payment === 'telegram' && !PAYMENTS_PROVIDER_TOKEN) throw new HttpError(400, 'card payments are not available');
+  if (payment !== 'room' && payment !== 'telegram') throw new HttpError(400, 'payment must be "room" or "telegram"');
+  const room = String(body.room || '').trim().slice(0, 20);
+  if (payment === 'room' && !room) throw new HttpError(400, 'room number is required');
+
+  // Merge repeated lines, then check every product against what is left
+  const qtyById = new Map();
+  for (const it of Array.isArray(body.items) ? body.items : []) {
+    const qty = Number(it?.qty ?? 1);
+    if (!Number.isInteger(qty) || qty < 1) throw new HttpError(400, 'invalid quantity');
+    qtyById.set(String(it.id), (qtyById.get(String(it.id)) || 0) + qty);
+  }
+  if (!qtyById.size) throw new HttpError(400, 'cart is empty');
+  const items = [...qtyById].map(([id, qty]) => {
+    const p = marketplaceCatalog.products.find((x) => x.id === id);
+    if (!p) throw new HttpError(400, `unknown product ${id}`);
+    if (stockLeft(p) < qty) throw new HttpError(409, `${p.name} is out of stock`);
+    return { id, name: p.name, price: p.price, qty };
+  });
+  const total = Math.round(items.reduce((sum, it) => sum + it.price * it.qty, 0) * 10 ** currencyExponent) / 10 ** currencyExponent;
+
+  const order = {
+    id: newBookingRef('M', (ref) => !!marketplaceOrder(ref)),
+    status: payment === 'room' ? 'placed' : 'awaiting_payment',
+    userId: user.id,
+    name: [user.first_name, user.last_name].filter(Boolean).join(' '),
+    languageCode: user.language_code,
+    items,
+    total,
+    currency: marketplaceCatalog.currency,
+    payment,
+    room,
+    notes: String(body.notes || '').trim().slice(0, 300),
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+  };
+  marketplaceStore.data.orders.push(order);
+  await marketplaceStore.save();
+  console.log(`[marketplace] ${order.id}: ${items.length} line(s), ${total} ${order.currency} by ${user.id} (${payment})`);
+
+  const followUp = payment === 'room' ? confirmRoomCharge(user, order) : sendOrderInvoice(user, order);
+  followUp.catch((e) => console.error(`[marketplace] ${order.id} follow-up failed:`, e?.message || e));
+  return { order: publicOrder(order) };
+});
+
+// =====================
+// Spa bookings
+// =====================
+// Catalog from SPA_SERVICES_CONFIG (JSON/YAML): categories of services with `durations: [{ minutes, price }]`,
+// plus the therapists (by skill = category id) and rooms (by kind) a treatment needs. Services are
+// treatments by default; `kind: 'class'` runs at fixed `times` for `capacity` guests, `kind: 'pass'` is date-only.
+const SPA_PREFIX = 'SPA:';
+const spaStore = new JsonFileStore('spa-bookings', { bookings: [] });
+
+function loadSpaCatalog() {
+  let cfg = null;
+  try {
+    cfg = readConfigFile(SPA_SERVICES_CONFIG);
+  } catch (e) {
+    console.error(`[spa] invalid ${SPA_SERVICES_CONFIG}:`, e?.message || e);
+  }
+  const categories = (Array.isArray(cfg?.categories) ? cfg.categories : []).map((c) => ({
+    ...c,
+    id: String(c.id),
+    services: (c.services || []).map((s) => ({
+      ...s,
+      id: String(s.id),
+      categoryId: String(c.id),
+      kind: s.kind || 'treatment',
+      skill: s.skill || String(c.id),
+      therapists: Number(s.therapists) || 1,
+      durations: (s.durations || []).map((d) => ({ minutes: d.minutes ? Number(d.minutes) : null, price: Number(d.price) || 0 })),
+    })),
+  }));
+  const services = new Map(categories.flatMap((c) => c.services.map((s) => [s.id, s])));
+  console.log(`[system] Spa: ${services.size} service(s), ${(cfg?.therapists || []).length} therapist(s)`);
+  return {
+    currency: String(cfg?.currency || 'USD').toUpperCase(),
+    gratuityPercent: Number(cfg?.gratuityPercent ?? 18),
+    bookingWindowDays: Number(cfg?.bookingWindowDays) || 14,
+    open: cfg?.hours?.open || '08:00',
+    close: cfg?.hours?.close || '20:00',
+    slotMinutes: Number(cfg?.slotMinutes) || 30,
+    bufferMinutes: Number(cfg?.bufferMinutes) || 0,
+    noticeHours: Number(cfg?.cancellation?.noticeHours ?? 12),
+    feePercent: Number(cfg?.cancellation?.feePercent ?? 0),
+    therapists: (cfg?.therapists || []).map((t) => ({ id: String(t.id), name: t.name || String(t.id), skills: (t.skills || []).map(String) })),
+    rooms: (cfg?.rooms || []).map((r) => ({ id: String(r.id), kind: String(r.kind) })),
+    categories,
+    services,
+  };
+}
+
+const spaCatalog = loadSpaCatalog();
+
+function spaService(id) {
+  const service = spaCatalog.services.get(String(id || ''));
+  if (!service) throw new HttpError(404, 'unknown service');
+  return service;
+}
+
+function spaDuration(service, minutes) {
+  const d = service.kind === 'pass' ? service.durations[0] : service.durations.find((x) => x.minutes === Number(minutes));
+  if (!d) throw new HttpError(400, 'unknown duration for this service');
+  return d;
+}
+
+function minutesOfDay(hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  return h * 60 + m;
+}
+
+function hhmm(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Start times on offer for a service and duration (treatments must finish by closing time)
+function spaSlotTimes(service, minutes) {
+  if (service.kind === 'pass') return [];
+  if (service.kind === 'class') return (service.times || []).map(String).sort();
+  const out = [];
+  for (let t = minutesOfDay(spaCatalog.open); t + minutes <= minutesOfDay(spaCatalog.close); t += spaCatalog.slotMinutes) out.push(hhmm(t));
+  return out;
+}
+
+function spaOverlaps(b, start, end) {
+  const buffer = spaCatalog.bufferMinutes * 60 * 1000;
+  return b.status === 'confirmed' && b.startMs < end + buffer && start < b.endMs + buffer;
+}
+
+/**
+ * Who and where for a booking at date/time: { therapistIds, roomId, spotsLeft, startMs, endMs }, or null when full.
+ * `therapist` pins one of the therapists; the rest (couples) are picked from whoever is free.
+ */
+function spaAssignment(service, minutes, date, time, { therapist } = {}) {
+  const startMs = localSlotToMs(date, time);
+  const endMs = startMs + (minutes || 0) * 60 * 1000;
+  const overlapping = spaStore.data.bookings.filter((b) => spaOverlaps(b, startMs, endMs));
+
+  if (service.kind === 'class') {
+    const session = overlapping.filter((b) => b.serviceId === service.id && b.startMs === startMs);
+    const spotsLeft = (Number(service.capacity) || 1) - session.length;
+    if (spotsLeft <= 0) return null;
+    // Attendees share the session's room; the first one claims a room of that kind nothing else is using
+    let roomId = session.find((b) => b.roomId)?.roomId || null;
+    if (!roomId && service.room) {
+      const busyRooms = new Set(overlapping.filter((b) => !session.includes(b)).map((b) => b.roomId).filter(Boolean));
+      roomId = spaCatalog.rooms.find((r) => r.kind === service.room && !busyRooms.has(r.id))?.id;
+      if (!roomId) return null;
+    }
+    return { therapistIds: [], roomId, spotsLeft, startMs, endMs };
+  }
+
+  const busyTherapists = new Set(overlapping.flatMap((b) => b.therapistIds || []));
+  const busyRooms = new Set(overlapping.map((b) => b.roomId).filter(Boolean));
+  const free = spaCatalog.therapists.filter((t) => t.skills.includes(service.skill) && !busyTherapists.has(t.id));
+  if (therapist && !free.some((t) => t.id === therapist)) return null;
+  const picked = [...free.filter((t) => t.id === therapist), ...free.filter((t) => t.id !== therapist)].slice(0, service.therapists);
+  if (picked.length < service.therapists) return null;
+
+  let roomId = null;
+  if (service.room) {
+    roomId = spaCatalog.rooms.find((r) => r.kind === service.room && !busyRooms.has(r.id))?.id;
+    if (!roomId) return null;
+  }
+  return { therapistIds: picked.map((t) => t.id), roomId, spotsLeft: 1, startMs, endMs };
+}
+
+function spaPricing(price) {
+  const gratuity = Math.round(price * spaCatalog.gratuityPercent) / 100;
+  return { price, gratuity, total: Math.round((price + gratuity) * 100) / 100 };
+}
+
+// Late cancellations (inside the notice window) owe a share of the total
+function spaCancellationFee(b, now = Date.now()) {
+  if (b.startMs - now >= spaCatalog.noticeHours * 3600 * 1000) return 0;
+  return Math.round(b.total * spaCatalog.feePercent) / 100;
+}
+
+function publicSpaBooking(b) {
+  const { userId, languageCode, ...rest } = b;
+  return {
+    ...rest,
+    therapists: (b.therapistIds || []).map((id) => spaCatalog.therapists.find((t) => t.id === id)?.name || id),
+    cancellationFee: b.status === 'confirmed' ? spaCancellationFee(b) : b.cancellationFee || 0,
+  };
+}
+
+function upcomingSpaBookings(userId) {
+  const now = Date.now();
+  return spaStore.data.bookings
+    .filter((b) => String(b.userId) === String(userId) && b.status === 'confirmed' && b.endMs > now)
+    .sort((a, b) => a.startMs - b.startMs);
+}
+
+function spaWhen(b) {
+  return b.time ? `${b.date} ${b.time}` : b.date;
+}
+
+function spaEventData(b) {
+  return {
+    id: b.id,
+    service: b.serviceName,
+    serviceId: b.serviceId,
+    duration: b.minutes,
+    date: b.date,
+    time: b.time,
+    price: b.price,
+    gratuity: b.gratuity,
+    total: b.total,
+    guestName: b.guestName,
+    roomNumber: b.roomNumber,
+  };
+}
+
+async function confirmSpaBooking(user, b) {
+  const ctx = await privateChatContext(user);
+  await runProactiveTurn(ctx, { kind: 'spa', request: webAppDataToVoiceflowRequest({ event: 'spa_booking', data: spaEventData(b) }) });
+
+  const caption = tr(ctx, 'spa.confirmed', {
+    id: esc(b.id),
+    service: esc(b.serviceName),
+    when: esc(spaWhen(b)),
+    total: esc(formatMoney(ctx, b.total, b.currency)),
+    gratuity: esc(formatMoney(ctx, b.gratuity, b.currency)),
+  });
+  if (!b.time) {
+    await ctx.reply(caption, { parse_mode: 'HTML' });
+    return;
+  }
+  const ics = buildIcs({
+    uid: `${b.id}@spa`,
+    start: b.startMs,
+    end: b.endMs,
+    summary: b.serviceName,
+    description: `Ref ${b.id}`,
+    location: 'Spa & Wellness',
+  });
+  await ctx.replyWithDocument({ source: Buffer.from(ics, 'utf8'), filename: `${b.id}.ics` }, { caption, parse_mode: 'HTML' });
+}
+
+async function cancelSpaBooking(b, { by }) {
+  if (b.status !== 'confirmed' || b.startMs <= Date.now()) throw new HttpError(409, 'booking can no longer be cancelled');
+  b.status = 'cancelled';
+  b.cancellationFee = spaCancellationFee(b);
+  b.cancelledAt = Date.now();
+  await spaStore.save();
+  cancelJobs(`spa:${b.id}:`);
+  console.log(`[spa] ${b.id} cancelled by ${by}${b.cancellationFee ? ` (fee ${b.cancellationFee})` : ''}`);
+
+  const ctx = await privateChatContext({ id: b.userId, first_name: b.guestName, language_code: b.languageCode });
+  const lines = [tr(ctx, 'spa.cancelled', { id: esc(b.id), service: esc(b.serviceName), when: esc(spaWhen(b)) })];
+  if (b.cancellationFee) lines.push(tr(ctx, 'spa.cancel_fee', { fee: esc(formatMoney(ctx, b.cancellationFee, b.currency)) }));
+  await ctx.reply(lines.join('\n'), { parse_mode: 'HTML' });
+  await runProactiveTurn(ctx, {
+    kind: 'spa',
+    request: webAppDataToVoiceflowRequest({ event: 'spa_booking_cancelled', data: { ...spaEventData(b), cancellationFee: b.cancellationFee } }),
+  });
+  return b;
+}
+
+httpRoute('GET', '/api/spa/services', async () => {
+  return {
+    currency: spaCatalog.currency,
+    gratuityPercent: spaCatalog.gratuityPercent,
+    bookingWindowDays: spaCatalog.bookingWindowDays,
+    cancellation: { noticeHours: spaCatalog.noticeHours, feePercent: spaCatalog.feePercent },
+    therapists: spaCatalog.therapists.map(({ id, name, skills }) => ({ id, name, skills })),
+    categories: spaCatalog.categories.map((c) => ({
+      ...c,
+      services: c.services.map(({ room, times, capacity, ...s }) => s),
+    })),
+  };
+});
+
+httpRoute('GET', '/api/spa/availability', async (req) => {
+  const qp = new URL(req.url, 'http://localhost').searchParams;
+  const service = spaService(qp.get('service'));
+  const { minutes } = spaDuration(service, qp.get('minutes'));
+  const date = parseBookingDate(qp.get('date'), { windowDays: spaCatalog.bookingWindowDays, offsetHours: LOCAL_UTC_OFFSET_HOURS });
+  const therapist = qp.get('therapist') || undefined;
+  const now = Date.now();
+
+  const slots = spaSlotTimes(service, minutes).map((time) => {
+    if (localSlotToMs(date, time) <= now) return { time, available: false, therapists: [] };
+    const a = spaAssignment(service, minutes, date, time, { therapist });
+    if (!a || service.kind !== 'treatment') return { time, available: !!a, spotsLeft: a?.spotsLeft || 0, therapists: [] };
+    // Every therapist who could take this slot, so the app can offer a choice
+    const options = spaCatalog.therapists.filter((t) => t.skills.includes(service.skill) && spaAssignment(service, minutes, date, time, { therapist: t.id }));
+    return { time, available: true, therapists: options.map((t) => t.id) };
+  });
+  return { service: service.id, minutes, date, kind: service.kind, slots };
+});
+
+httpRoute('GET', '/api/spa/bookings', async (req, body) => {
+  const { user } = requireMiniAppUser(req, body);
+  const mine = spaStore.data.bookings.filter((b) => String(b.userId) === String(user.id)).sort((a, b) => b.startMs - a.startMs);
+  return { bookings: mine.map(publicSpaBooking) };
+});
+
+httpRoute('POST', '/api/spa/bookings', async (req, body) => {
+  const { user } = requireMiniAppUser(req, body);
+  const service = spaService(body.service);
+  const { minutes, price } = spaDuration(service, body.minutes);
+  const date = parseBookingDate(body.date, { windowDays: spaCatalog.bookingWindowDays, offsetHours: LOCAL_UTC_OFFSET_HOURS });
+  const guestName = String(body.guestName || '').trim().slice(0, 80);
+  const roomNumber = String(body.roomNumber || '').trim().slice(0, 20);
+  if (!guestName) throw new HttpError(400, 'guest name is required');
+
+  let time = '';
+  let slot = { therapistIds: [], roomId: null, startMs: localSlotToMs(date, spaCatalog.open), endMs: localSlotToMs(date, spaCatalog.close) };
+  if (service.kind !== 'pass') {
+    time = String(body.time || '');
+    if (!spaSlotTimes(service, minutes).includes(time)) throw new HttpError(400, 'unknown time slot');
+    if (localSlotToMs(date, time) <= Date.now()) throw new HttpError(400, 'time slot has passed');
+    // Check and insert in the same tick, so two requests can't both take the last therapist or room
+    slot = spaAssignment(service, minutes, date, time, { therapist: body.therapist ? String(body.therapist) : undefined });
+    if (!slot) throw new HttpError(409, 'this time is no longer available');
+  }
+
+  const booking = {
+    id: newBookingRef('SPA', (ref) => spaStore.data.bookings.some((b) => b.id === ref)),
+    status: 'confirmed',
+    userId: user.id,
+    languageCode: user.language_code,
+    serviceId: service.id,
+    serviceName: service.name,
+    kind: service.kind,
+    minutes,
+    date,
+    time,
+    startMs: slot.startMs,
+    endMs: slot.endMs,
+    therapistIds: slot.therapistIds,
+    roomId: slot.roomId,
+    guestName,
+    roomNumber,
+    currency: spaCatalog.currency,
+    ...spaPricing(price),
+    createdAt: Date.now(),
+  };
+  spaStore.data.bookings.push(booking);
+  await spaStore.save();
+  console.log(`[spa] ${booking.id}: ${service.id} ${date} ${time || '(pass)'} by ${user.id}`);
+
+  confirmSpaBooking(user, booking).catch((e) => console.error('[spa] confirmation failed:', e?.message || e));
+  // Passes have no appointment to be reminded of
+  if (booking.time) {
+    scheduleBookingJobs(user, {
+      kind: 'spa',
+      ref: booking.id,
+      startMs: booking.startMs,
+      endMs: booking.endMs,
+      template: 'reminder.spa',
+      vars: { id: esc(booking.id), service: esc(service.name), when: esc(`${date} ${time}`) },
+      title: service.name,
+    });
+  }
+  return { booking: publicSpaBooking(booking) };
+});
+
+httpRoute('DELETE', '/api/spa/bookings', async (req, body) => {
+  const { user } = requireMiniAppUser(req, body);
+  const id = String(body.id || new URL(req.url, 'http://localhost').searchParams.get('id') || '');
+  const b = spaStore.data.bookings.find((x) => x.id === id && String(x.userId) === String(user.id));
+  if (!b) throw new HttpError(404, 'booking not found');
+  await cancelSpaBooking(b, { by: user.id });
+  return { booking: publicSpaBooking(b) };
+});
+
+// =====================
+// Attachments (photo / document)
+// =====================
+const ATTACHMENT_MAX_BYTES = 20 * 1024 * 1024; // Bot API getFile limit
+const VISION_MAX_BYTES = 8 * 1024 * 1024;
+
+async function describeImage(buffer, mimeType, caption) {
+  if (!openai || !VISION_DESCRIBE) return '';
+  if (buffer.length > VISION_MAX_BYTES) return '';
+
+  const prompt =
+    'Describe this image for a hospitality assistant in 2-4 sentences. ' +
+    'Mention visible damage, documents or text if present. Do not guess personal data that is not legible.' +
+    (caption ? ` The guest wrote: "${caption}"` : '');
+
+  const res = await openai.chat.completions.create({
+    model: VISION_MODEL,
+    max_tokens: 300,
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          { type: 'image_url', image_url: { url: `data:${mimeType};base64,${buffer.toString('base64')}` } },
+        ],
+      },
+    ],
+  });
+  return res.choices?.[0]?.message?.content?.trim() || '';
+}
+
+/**
+ * Downloads a user attachment and builds what Voiceflow gets for it.
+ * kind: 'photo' | 'document'
+ */
+async function collectAttachment(ctx, { kind, fileId, fileName, mimeType, fileSize }) {
+  const caption = ctx.message?.caption || '';
+  const isImage = kind === 'photo' || /^image\//i.test(mimeType || '');
+  const info = {
+    kind,
+    caption,
+    fileName: fileName || (kind === 'photo' ? 'photo.jpg' : 'file'),
+    mimeType: mimeType || (kind === 'photo' ? 'image/jpeg' : 'application/octet-stream'),
+    url: fileProxyUrl(fileId),
+    description: '',
+  };
+
+  if (isImage && VISION_DESCRIBE && openai && (!fileSize || fileSize <= ATTACHMENT_MAX_BYTES)) {
+    try {
+      const link = await ctx.telegram.getFileLink(fileId);
+      const response = await api.get(link.toString(), { responseType: 'arraybuffer', maxContentLength: ATTACHMENT_MAX_BYTES });
+      const buffer = Buffer.from(response.data);
+      if (DEBUG_ATTACHMENTS) console.log(`[attachment] downloaded ${buffer.length} bytes (${info.mimeType})`);
+      info.description = await describeImage(buffer, info.mimeType, caption);
+    } catch (err) {
+      console.warn('[attachment] vision description failed:', err?.response?.data?.error?.message || err?.message);
+    }
+  }
+
+  return info;
+}
+
+function attachmentToVoiceflowRequest(info) {
+  if (VF_ATTACHMENT_MODE === 'action') return { type: 'attachment', payload: info };
+
+  const lines = [`[User sent a ${info.kind === 'photo' ? 'photo' : `file: ${info.fileName}`}]`];
+  if (info.caption) lines.push(`Caption: ${info.caption}`);
+  if (info.description) lines.push(`Image description: ${info.description}`);
+  if (info.url) lines.push(`File URL: ${info.url}`);
+  return { type: 'text', payload: lines.join('\n') };
+}
+
+async function handleAttachment(ctx, file) {
+  const userId = sessionKey(ctx);
+
+  if (file.fileSize && file.fileSize > ATTACHMENT_MAX_BYTES) {
+    await ctx.reply(tr(ctx, 'attachment.too_large'));
+    return;
+  }
+
+  console.log(`[attachment] ${file.kind} from ${userId} (${file.mimeType || 'unknown type'})`);
+  // Download/vision runs outside the turn queue; only the Voiceflow turn itself is serialized
+  const info = await collectAttachment(ctx, file);
+  await runTurn(ctx, {
+    kind: 'attachment',
+    keepAfterReset: true,
+    interact: () => sendRequestToVoiceflow(ctx, userId, attachmentToVoiceflowRequest(info)),
+  });
+}
+
+// =====================
+// Transcripts
+// =====================
+const PII_PATTERNS = [
+  [/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, '[email]'],
+  [/\b\d(?:[ -]?\d){12,18}\b/g, '[card]'],
+  // Phone-like runs need 9+ digits so dates and times survive
+  [/\+?\d[\d\s().-]{7,}\d/g, (m) => (m.replace(/\D/g, '').length >= 9 ? '[phone]' : m)],
+];
+
+function redactPii(text) {
+  if (!TRANSCRIPT_REDACT_PII || typeof text !== 'string') return text;
+  let out = text;
+  for (const [re, replacement] of PII_PATTERNS) out = out.replace(re, replacement);
+  return out;
+}
+
+const transcriptWrites = new Map(); // chatId -> promise chain (keeps each file's lines in order)
+
+function transcriptPath(chatId) {
+  return path.join(TRANSCRIPT_DIR, `${String(chatId).replace(/[^\w-]/g, '_')}.jsonl`);
+}
+
+function recordTranscript(chatId, entry) {
+  if (!TRANSCRIPTS_ENABLED || chatId === undefined || chatId === null) return;
+  if (HANDOFF_CHAT_ID && String(chatId) === String(HANDOFF_CHAT_ID)) return;
+  flushTranscriptEdits(chatId); // a settled edit belongs before whatever comes next
+  appendTranscriptLine(chatId, entry);
+}
+
+function appendTranscriptLine(chatId, entry) {
+  const rec = { ts: new Date().toISOString(), ...entry };
+  for (const k of ['text', 'caption', 'data', 'label']) if (rec[k]) rec[k] = redactPii(rec[k]);
+  const line = `${JSON.stringify(rec)}\n`;
+
+  const prev = transcriptWrites.get(chatId) || Promise.resolve();
+  const next = prev
+    .then(() => fs.promises.mkdir(TRANSCRIPT_DIR, { recursive: true }))
+    .then(() => fs.promises.appendFile(transcriptPath(chatId), line))
+    .catch((e) => console.warn('[transcript] write failed:', e?.message));
+  transcriptWrites.set(chatId, next);
+  next.finally(() => {
+    if (transcriptWrites.get(chatId) === next) transcriptWrites.delete(chatId);
+  });
+}
+
+function keyboardLabels(markup) {
+  const rows = markup?.inline_keyboard || markup?.keyboard;
+  if (!Array.isArray(rows)) return undefined;
+  return rows.flat().map((b) => (typeof b === 'string' ? b : b?.text)).filter(Boolean);
+}
+
+function describeInbound(ctx) {
+  const m = ctx.message;
+  if (ctx.callbackQuery) {
+    const data = ctx.callbackQuery.data;
+    const btn = (ctx.callbackQuery.message?.reply_markup?.inline_keyboard || []).flat().find((b) => b.callback_data === data);
+    return { kind: 'button', data, label: btn?.text };
+  }
+  if (!m) return null;
+  if (m.text) return { kind: 'text', text: m.text };
+  if (m.voice) return { kind: 'voice', duration: m.voice.duration };
+  if (m.photo) return { kind: 'photo', caption: m.caption };
+  if (m.document) return { kind: 'document', fileName: m.document.file_name, caption: m.caption };
+  if (m.web_app_data) return { kind: 'web_app_data', data: m.web_app_data.data };
+  if (m.contact) return { kind: 'contact', text: m.contact.phone_number };
+  if (m.location) return { kind: 'location', text: `${m.location.latitude},${m.location.longitude}` };
+  return { kind: 'other', types: Object.keys(m).filter((k) => !['message_id', 'from', 'chat', 'date'].includes(k)) };
+}
+
+const TRANSCRIPT_SEND_METHODS = {
+  sendMessage: 'text',
+  sendPhoto: 'photo',
+  sendAnimation: 'animation',
+  sendDocument: 'document',
+  sendVoice: 'voice',
+  sendAudio: 'audio',
+  sendVideo: 'video',
+  sendMediaGroup: 'media_group',
+  editMessageText: 'edit',
+  editMessageReplyMarkup: 'edit_markup',
+};
+
+function mediaRef(v) {
+  return typeof v === 'string' ? v : v ? '[upload]' : undefined;
+}
+
+// Streaming edits a bubble many times a second; only the text it settles on is written
+const TRANSCRIPT_EDIT_SETTLE_MS = 2000;
+const pendingTranscriptEdits = new Map(); // `${chatId}:${messageId}:${kind}` -> { chatId, entry, timer }
+
+function flushTranscriptEdits(chatId) {
+  for (const [key, p] of pendingTranscriptEdits) {
+    if (chatId !== undefined && String(p.chatId) !== String(chatId)) continue;
+    clearTimeout(p.timer);
+    pendingTranscriptEdits.delete(key);
+    appendTranscriptLine(p.chatId, p.entry);
+  }
+}
+
+function recordOutboundCall(method, payload, res) {
+  const kind = TRANSCRIPT_SEND_METHODS[method];
+  if (!kind || payload?.chat_id === undefined || payload?.chat_id === null) return;
+
+  const msgs = Array.isArray(res) ? res : [res];
+  const entry = {
+    dir: 'out',
+    kind,
+    message_id: payload.message_id ?? msgs.map((m) => m?.message_id).filter(Boolean).join(','),
+    text: payload.text,
+    caption: payload.caption,
+    media: mediaRef(payload.photo ?? payload.animation ?? payload.document ?? payload.voice ?? payload.audio ?? payload.video),
+    buttons: keyboardLabels(payload.reply_markup),
+  };
+  if (kind !== 'edit' && kind !== 'edit_markup') return recordTranscript(payload.chat_id, entry);
+  if (HANDOFF_CHAT_ID && String(payload.chat_id) === String(HANDOFF_CHAT_ID)) return;
+
+  const key = `${payload.chat_id}:${payload.message_id}:${kind}`;
+  clearTimeout(pendingTranscriptEdits.get(key)?.timer);
+  const timer = setTimeout(() => {
+    const p = pendingTranscriptEdits.get(key);
+    if (!p) return;
+    pendingTranscriptEdits.delete(key);
+    appendTranscriptLine(p.chatId, p.entry);
+  }, TRANSCRIPT_EDIT_SETTLE_MS);
+  timer.unref?.();
+  pendingTranscriptEdits.set(key, { chatId: payload.chat_id, entry: { ts: new Date().toISOString(), ...entry }, timer });
+}
+
+// Every outbound Bot API call passes through callApi, so hooking it captures exactly what guests saw.
+// Telegraf builds a new Telegram instance for each update, so updates are hooked one by one (see transcriptMiddleware).
+function hookTranscriptCalls(telegram) {
+  if (!TRANSCRIPTS_ENABLED || telegram.transcriptHooked) return;
+  const rawCallApi = telegram.callApi.bind(telegram);
+  telegram.callApi = async (method, payload, opts) => {
+    const res = await rawCallApi(method, payload, opts);
+    try {
+      recordOutboundCall(method, payload, res);
+    } catch { }
+    return res;
+  };
+  telegram.transcriptHooked = true;
+}
+hookTranscriptCalls(bot.telegram); // broadcasts, scheduled jobs and other sends outside an update
+
+async function readTranscript(chatId) {
+  flushTranscriptEdits(chatId);
+  await Promise.allSettled([...transcriptWrites.values()]);
+  try {
+    const raw = await fs.promises.readFile(transcriptPath(chatId), 'utf8');
+    return raw
+      .split('\n')
+      .filter(Boolean)
+      .map((l) => {
+        try {
+          return JSON.parse(l);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+/** Collapses streaming edits into the message they updated, so exports show the final text. */
+function transcriptLines(entries) {
+  const lines = [];
+  const byMessageId = new Map();
+  for (const e of entries) {
+    if (e.dir === 'out' && (e.kind === 'edit' || e.kind === 'edit_markup')) {
+      const target = byMessageId.get(String(e.message_id));
+      if (target) {
+        if (e.kind === 'edit' && e.text) target.text = e.text;
+        if (e.buttons) target.buttons = e.buttons;
+        continue;
+      }
+    }
+    const line = { ...e };
+    lines.push(line);
+    if (e.dir === 'out' && e.message_id) byMessageId.set(String(e.message_id), line);
+  }
+  return lines;
+}
+
+function transcriptLineText(l) {
+  if (l.dir === 'vf') return `(voiceflow: ${(l.traces || []).join(', ')})`;
+  if (l.dir === 'in' && l.kind === 'button') return `[pressed] ${l.label || l.data}`;
+  const body = stripTags(l.text || l.caption || '') || (l.media ? `[${l.kind}] ${l.media}` : `[${l.kind}]`);
+  return l.buttons?.length ? `${body}\n  [buttons: ${l.buttons.join(' | ')}]` : body;
+}
+
+function renderTranscript(chatId, entries, format = 'txt') {
+  const lines = transcriptLines(entries);
+  const who = (l) => (l.dir === 'in' ? 'Guest' : l.dir === 'vf' ? 'System' : 'Bot');
+
+  if (format === 'html') {
+    const rows = lines
+      .map((l) => `<tr class="${l.dir}"><td>${esc(l.ts)}</td><td>${who(l)}</td><td><pre>${esc(transcriptLineText(l))}</pre></td></tr>`)
+      .join('\n');
+    return [
+      '<!DOCTYPE html><html><head><meta charset="utf-8">',
+      `<title>Transcript ${esc(chatId)}</title>`,
+      '<style>body{font-family:sans-serif}td{vertical-align:top;padding:4px 8px}pre{margin:0;white-space:pre-wrap}',
+      'tr.in{background:#eef6ff}tr.vf{color:#888}</style></head><body>',
+      `<h1>Transcript ${esc(chatId)}</h1><table>${rows}</table></body></html>`,
+    ].join('\n');
+  }
+
+  return lines.map((l) => `[${l.ts}] ${who(l)}: ${transcriptLineText(l)}`).join('\n');
+}
+
+// =====================
+// Human handoff (live agent)
+// =====================
+const handoffByUser = new PersistentMap('handoff'); // userId -> { chatId, threadId, since, source } while a live agent owns the chat
+const handoffTopicByUser = new PersistentMap('handoff-topic'); // userId -> forum topic id (reused across handoffs)
+const handoffUserByTopic = new PersistentMap('handoff-thread'); // forum topic id -> userId
+
+function isHandoffActive(userId) {
+  return !!handoffByUser.get(userId);
+}
+
+function handoffTopicName(from) {
+  const name = [from.first_name, from.last_name].filter(Boolean).join(' ') || 'Guest';
+  const handle = from.username ? ` @${from.username}` : '';
+  return `${name}${handle} · ${from.id}`.slice(0, 128);
+}
+
+// Staff deleted the guest's topic; the next handoff needs a fresh one
+function isMissingTopicError(err) {
+  return /thread not found|TOPIC_ID_INVALID|TOPIC_DELETED/i.test(String(err?.message || err?.description || ''));
+}
+
+function forgetHandoffTopic(userId, threadId) {
+  handoffTopicByUser.delete(userId);
+  handoffUserByTopic.delete(threadId);
+  console.warn(`[handoff] topic ${threadId} for ${userId} no longer exists, creating a new one`);
+}
+
+async function ensureHandoffTopic(from) {
+  const existing = handoffTopicByUser.get(from.id) ?? (await handoffTopicByUser.load(from.id));
+  if (existing) {
+    // Closed by a previous /release; reopening fails harmlessly if it is already open
+    const gone = await bot.telegram.reopenForumTopic(HANDOFF_CHAT_ID, existing).then(
+      () => false,
+      (err) => isMissingTopicError(err)
+    );
+    if (!gone) return existing;
+    forgetHandoffTopic(from.id, existing);
+  }
+  const topic = await bot.telegram.createForumTopic(HANDOFF_CHAT_ID, handoffTopicName(from));
+  handoffTopicByUser.set(from.id, topic.message_thread_id);
+  handoffUserByTopic.set(topic.message_thread_id, from.id);
+  return topic.message_thread_id;
+}
+
+async function startHandoff(ctx, { reason = '', source = 'command' } = {}) {
+  const userId = ctx.from.id;
+  if (isHandoffActive(userId)) {
+    await ctx.reply(tr(ctx, 'handoff.already'));
+    return false;
+  }
+  // Relaying is 1:1, so live agents are only offered in private chats
+  if (!HANDOFF_CHAT_ID || ctx.chat?.type !== 'private') {
+    console.warn('[handoff] requested but HANDOFF_CHAT_ID is not set');
+    await ctx.reply(tr(ctx, 'handoff.unavailable'));
+    return false;
+  }
+
+  let threadId;
+  try {
+    threadId = await ensureHandoffTopic(ctx.from);
+    const who = [ctx.from.first_name, ctx.from.last_name].filter(Boolean).join(' ');
+    const intro = [
+      `🙋 <b>Handoff requested</b> (${esc(source)})`,
+      `Guest: ${esc(who || 'Unknown')}${ctx.from.username ? ` @${esc(ctx.from.username)}` : ''} · <code>${userId}</code>`,
+      `Language: ${esc(localeFor(ctx))}`,
+    ];
+    if (reason) intro.push(`Reason: ${esc(reason)}`);
+    intro.push('', 'Reply in this topic to answer the guest. Send /release to hand the chat back to the assistant.');
+    const sendIntro = () => bot.telegram.sendMessage(HANDOFF_CHAT_ID, intro.join('\n'), { parse_mode: 'HTML', message_thread_id: threadId });
+    try {
+      await sendIntro();
+    } catch (err) {
+      if (!isMissingTopicError(err)) throw err;
+      forgetHandoffTopic(userId, threadId);
+      threadId = await ensureHandoffTopic(ctx.from);
+      await sendIntro();
+    }
+  } catch (err) {
+    console.error('[handoff] could not open staff topic:', err?.message || err);
+    await ctx.reply(tr(ctx, 'handoff.unavailable'));
+    return false;
+  }
+
+  handoffByUser.set(userId, { chatId: ctx.chat?.id ?? userId, threadId, since: Date.now(), source, locale: localeFor(ctx) });
+  console.log(`[handoff] started for ${userId} (topic ${threadId}, ${source})`);
+  await ctx.reply(tr(ctx, 'handoff.started'));
+  return true;
+}
+
+// byGuest: the guest sent /release themselves, so they get their own wording instead of "our team has closed this chat"
+async function endHandoff(userId, { by = 'staff', byGuest = false } = {}) {
+  const state = handoffByUser.get(userId) ?? (await handoffByUser.load(userId));
+  if (!state) return false;
+  handoffByUser.delete(userId);
+
+  // Staff release outside the guest's update, so use the locale captured when the handoff started
+  const key = byGuest ? 'handoff.released' : 'handoff.ended';
+  const notice = LOCALES[state.locale]?.[key] || LOCALES.en[key];
+  await bot.telegram.sendMessage(state.chatId, notice).catch(() => { });
+  await bot.telegram
+    .sendMessage(HANDOFF_CHAT_ID, `✅ Released by ${by}. The assistant is handling this guest again.`, { message_thread_id: state.threadId })
+    .catch(() => { });
+  await bot.telegram.closeForumTopic(HANDOFF_CHAT_ID, state.threadId).catch(() => { });
+  console.log(`[handoff] ended for ${userId} (by ${by})`);
+  return true;
+}
+
+// Guest → staff topic while a handoff is active
+async function relayGuestToStaff(ctx) {
+  const state = handoffByUser.get(ctx.from.id);
+  if (!state || !ctx.message) return false;
+  const copy = () => ctx.telegram.copyMessage(HANDOFF_CHAT_ID, ctx.chat.id, ctx.message.message_id, { message_thread_id: state.threadId });
+  try {
+    try {
+      await copy();
+    } catch (err) {
+      if (!isMissingTopicError(err)) throw err;
+      // Topic deleted mid-handoff: move the conversation to a new one
+      forgetHandoffTopic(ctx.from.id, state.threadId);
+      state.threadId = await ensureHandoffTopic(ctx.from);
+      handoffByUser.set(ctx.from.id, state);
+      await copy();
+    }
+  } catch (err) {
+    console.error('[handoff] relay to staff failed:', err?.message || err);
+  }
+  return true;
+}
+
+// Staff topic → guest
+async function relayStaffToGuest(ctx) {
+  const threadId = ctx.message?.message_thread_id;
+  if (!threadId) return;
+  const userId = handoffUserByTopic.get(threadId) ?? (await handoffUserByTopic.load(threadId));
+  if (!userId) return;
+
+  const text = ctx.message.text || '';
+  if (/^\/release(@\w+)?\b/i.test(text)) {
+    const who = ctx.from.username ? `@${ctx.from.username}` : ctx.from.first_name || 'staff';
+    if (!(await endHandoff(userId, { by: who }))) await ctx.reply('This guest is not in a handoff.', { message_thread_id: threadId });
+    return;
+  }
+  if (text.startsWith('/')) return; // other commands stay in the staff group
+
+  const state = handoffByUser.get(userId) ?? (await handoffByUser.load(userId));
+  if (!state) {
+    await ctx.reply('This guest is back with the assistant; your message was not delivered.', { message_thread_id: threadId });
+    return;
+  }
+  try {
+    await ctx.telegram.copyMessage(state.chatId, ctx.chat.id, ctx.message.message_id);
+  } catch (err) {
+    console.error('[handoff] relay to guest failed:', err?.message || err);
+    await ctx.reply(`⚠️ Delivery failed: ${err?.message || err}`, { message_thread_id: threadId });
+  }
+}
+
+// =====================
+// ROUTES
+// =====================
+function wrap(fn) {
+  return async (ctx, next) => {
+    try {
+      await fn(ctx, next);
+    } catch (err) {
+      console.error('❌ Handler error:', err?.stack || err);
+      try {
+        await ctx.reply(tr(ctx, 'error.generic'));
+      } catch { }
+    }
+  };
+}
+
+// Group gating runs first so unaddressed chatter never touches state, transcripts or Voiceflow
+bot.use(async (ctx, next) => {
+  if (!isGroupChat(ctx) || (HANDOFF_CHAT_ID && String(ctx.chat.id) === String(HANDOFF_CHAT_ID))) return next();
+  // The orders chat is for staff: only order buttons and /order get through, nothing reaches Voiceflow
+  if (MARKETPLACE_ORDERS_CHAT_ID && String(ctx.chat.id) === String(MARKETPLACE_ORDERS_CHAT_ID)) {
+    if (String(ctx.callbackQuery?.data || '').startsWith(ORDER_PREFIX)) return next();
+    if (/^\/order(@\w+)?(\s|$)/i.test(ctx.message?.text || '')) return next();
+    return;
+  }
+  if (GROUP_MODE === 'off' || !isAddressedToBot(ctx)) return;
+  if (ctx.message?.text) ctx.state.text = stripBotMention(ctx.message.text);
+  return next();
+});
+
+bot.use(async (ctx, next) => {
+  if (ctx.from?.id) {
+    await hydrateUserState(sessionKey(ctx), ctx.from.id);
+    clearNoReply(sessionKey(ctx)); // the guest did reply
+  }
+  return next();
+});
+
+async function transcriptMiddleware(ctx, next) {
+  if (TRANSCRIPTS_ENABLED) {
+    hookTranscriptCalls(ctx.telegram);
+    const inbound = ctx.chat?.id ? describeInbound(ctx) : null;
+    if (inbound) recordTranscript(ctx.chat.id, { dir: 'in', from: ctx.from?.id, ...inbound });
+  }
+  return next();
+}
+
+bot.use(transcriptMiddleware);
+
+const ADMIN_COMMANDS = ['stats', 'reset', 'broadcast', 'transcript', 'order', 'schedule', 'flushcache'];
+
+// Handoff routing runs before every other route: the staff group never reaches Voiceflow,
+// and guests with a live agent get relayed instead of answered.
+bot.use(async (ctx, next) => {
+  if (HANDOFF_CHAT_ID && String(ctx.chat?.id) === String(HANDOFF_CHAT_ID)) {
+    // Operator commands (/stats, /order…) work from the staff group too; /release stays with the topic's guest
+    const command = /^\/(\w+)(@\w+)?(\s|$)/.exec(ctx.message?.text || '')?.[1]?.toLowerCase();
+    if (ADMIN_COMMANDS.includes(command) && isAdmin(ctx)) return next();
+    if (ctx.message && !ctx.from?.is_bot) await wrap(relayStaffToGuest)(ctx);
+    return;
+  }
+
+  if (ctx.chat?.type === 'private' && isHandoffActive(ctx.from?.id)) {
+    if (ctx.callbackQuery) {
+      await ctx.answerCbQuery().catch(() => { });
+      return;
+    }
+    const text = ctx.message?.text || '';
+    if (/^\/(release|human)(@\w+)?\b/i.test(text)) return next();
+    // Payments must reach their handler, or a paid order would be left to expire (pre_checkout_query has no chat, so it never gets here)
+    if (ctx.message?.successful_payment) return next();
+    if (await relayGuestToStaff(ctx)) return;
+  }
+  return next();
+});
+
+bot.start(
+  wrap(async (ctx) => {
+    const userId = sessionKey(ctx);
+    await turnQueue.run(userId, {
+      kind: 'launch',
+      exec: async () => {
+        await resetVoiceflow(userId);
+        const stop = keepTyping(ctx);
+        try {
+          const traces = await launchVoiceflow(ctx, userId);
+          await sendVFToTelegram(ctx, traces);
+          touchSession(userId);
+        } finally {
+          stop();
+        }
+      },
+    });
+  })
+);
+
+bot.hears(
+  '/start',
+  wrap(async (ctx) => {
+    const userId = sessionKey(ctx);
+    await turnQueue.run(userId, {
+      kind: 'launch',
+      exec: async () => {
+        await resetVoiceflow(userId);
+        const stop = keepTyping(ctx);
+        try {
+          const traces = await launchVoiceflow(ctx, userId);
+          await sendVFToTelegram(ctx, traces);
+          touchSession(userId);
+        } finally {
+          stop();
+        }
+      },
+    });
+  })
+);
+
+bot.command(
+  'voice',
+  wrap(async (ctx) => {
+    const userId = ctx.from.id;
+    const arg = String(ctx.message.text || '').split(/\s+/)[1]?.toLowerCase() || '';
+    const prefs = { on: 'on', off: 'off', auto: 'voice', voice: 'voice' };
+
+    if (!prefs[arg]) {
+      const current = ttsModeFor(userId);
+      const status = tr(ctx, current === 'always' ? 'tts.status.on' : current === 'voice' ? 'tts.status.auto' : 'tts.status.off');
+      await ctx.reply(tr(ctx, 'tts.status', { status }));
+      return;
+    }
+
+    ttsPrefByUser.set(userId, prefs[arg]);
+    await ctx.reply(tr(ctx, arg === 'off' ? 'tts.disabled' : arg === 'on' ? 'tts.enabled' : 'tts.auto'));
+  })
+);
+
+bot.command(
+  'human',
+  wrap(async (ctx) => {
+    const reason = String(ctx.message.text || '').replace(/^\/\S+\s*/, '');
+    await startHandoff(ctx, { reason, source: 'command' });
+  })
+);
 
-  return await new Promise((resolve, reject) => {
-    parseSseStream(res.data, ({ event, data }) => {
-      if (event === 'trace' && data && typeof data === 'object') {
-        const trace = data;
-        traces.push(trace);
+bot.command(
+  'release',
+  wrap(async (ctx) => {
+    // Guests can leave a handoff themselves; staff release from inside the topic
+    if (!(await endHandoff(ctx.from.id, { by: 'guest', byGuest: true }))) await ctx.reply(tr(ctx, 'handoff.none'));
+  })
+);
 
-        const currentIdx = traces.length - 1;
-        if (trace.type === 'completion' && trace.payload?.state === 'content') {
-          latestContentIdx = currentIdx;
-        }
+bot.command(
+  'language',
+  wrap(async (ctx) => {
+    const arg = normalizeLocale(String(ctx.message.text || '').split(/\s+/)[1]);
+    if (arg) {
+      localeByUser.set(ctx.from.id, arg);
+      await ctx.reply(tr(ctx, 'language.set'));
+      return;
+    }
 
-        realtimeChain = realtimeChain.then(async () => {
-          // Optimization: Skip rendering if a newer content trace has arrived.
-          // handleTraceRealtime will still update the accumulated buffer.
-          const isContent = trace.type === 'completion' && trace.payload?.state === 'content';
-          const skipRendering = isContent && currentIdx < latestContentIdx;
+    const buttons = Object.entries(LOCALES).map(([code, l]) => ({ text: l.name, callback_data: `${LANG_PREFIX}${code}` }));
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+    await ctx.reply(tr(ctx, 'language.pick'), { reply_markup: { inline_keyboard: rows } });
+  })
+);
 
-          await handleTraceRealtime(ctx, trace, { skipRendering });
-        }).catch(() => { });
-        return;
-      }
-      if (event === 'end' || event === 'end-of-stream') {
-        finish(resolve).catch(() => resolve(traces));
-      }
+bot.command(
+  'mybookings',
+  wrap(async (ctx) => {
+    const bookings = upcomingSpaBookings(ctx.from.id);
+    if (!bookings.length) {
+      await ctx.reply(tr(ctx, 'spa.none'));
+      return;
+    }
+    const lines = bookings.map((b) => `• <code>${esc(b.id)}</code> ${esc(b.serviceName)} · ${esc(spaWhen(b))}`);
+    const rows = bookings
+      .filter((b) => b.startMs > Date.now())
+      .map((b) => [{ text: tr(ctx, 'spa.cancel_button', { id: b.id }), callback_data: `${SPA_PREFIX}ask:${b.id}` }]);
+    await ctx.reply([tr(ctx, 'spa.list_header'), ...lines].join('\n'), {
+      parse_mode: 'HTML',
+      reply_markup: rows.length ? { inline_keyboard: rows } : undefined,
     });
+  })
+);
 
-    res.data.on('error', (err) => reject(err));
-    res.data.on('end', () => {
-      finish(resolve).catch(() => resolve(traces));
-    });
+// =====================
+// Admin commands
+// =====================
+function isAdmin(ctx) {
+  return ADMIN_IDS.has(String(ctx.from?.id ?? ''));
+}
+
+function adminOnly(fn) {
+  return wrap(async (ctx, next) => {
+    if (!isAdmin(ctx)) {
+      console.warn(`[admin] rejected /${ctx.command || '?'} from ${ctx.from?.id}`);
+      await ctx.reply(tr(ctx, 'admin.denied'));
+      return;
+    }
+    await fn(ctx, next);
   });
 }
 
-async function launchVoiceflow(ctx, userId) {
-  return await streamVoiceflowInteraction(ctx, userId, { type: 'launch' });
+function commandArgs(ctx) {
+  return String(ctx.message?.text || '').replace(/^\/\S+\s*/, '');
 }
 
-async function interactVoiceflow(ctx, userId, text) {
-  return await streamVoiceflowInteraction(ctx, userId, { type: 'text', payload: text });
+// People with a private-chat session, including ones only the persistent store knows about. Group sessions
+// are keyed `${chatId}_[${thread}_]${userId}` and aren't chats anyone can be messaged in, so only bare
+// numeric (private) keys count.
+async function knownUserIds() {
+  const ids = new Set([...sessions.keys()].map(String));
+  try {
+    for (const k of await stateStore.keys('session')) ids.add(String(k));
+  } catch (e) {
+    console.warn('[admin] listing stored sessions failed:', e?.message);
+  }
+  return [...ids].filter((id) => /^\d+$/.test(id));
 }
 
-async function sendRequestToVoiceflow(ctx, userId, request) {
-  return await streamVoiceflowInteraction(ctx, userId, request);
+async function clearUserState(userId) {
+  const s = completionStateByUser.get(userId);
+  if (s?.timer) clearTimeout(s.timer);
+  for (const m of [sessions, lastBotMsgByUser, completionStateByUser, replyKeyboardByUser]) {
+    m.delete(userId);
+    // Keys may be numbers (live updates) or strings (typed by an operator)
+    m.delete(String(userId));
+  }
+  for (const [k, v] of stash.entries()) if (String(v.userId) === String(userId)) stash.delete(k);
 }
 
-// =====================
-// ROUTES
-// =====================
-function wrap(fn) {
-  return async (ctx, next) => {
-    try {
-      await fn(ctx, next);
-    } catch (err) {
-      console.error('❌ Handler error:', err?.stack || err);
-      try {
-        await ctx.reply('Sorry, something went wrong. Please try again.');
-      } catch { }
+bot.command(
+  'stats',
+  adminOnly(async (ctx) => {
+    const now = Date.now();
+    const activeWindowMs = (SESSION_RESET_HOURS > 0 ? SESSION_RESET_HOURS : 24) * 3600 * 1000;
+    const active = [...sessions.values()].filter((v) => now - (v?.lastTs || 0) < activeWindowMs).length;
+    const known = (await knownUserIds()).length;
+
+    let queued = 0;
+    for (const st of transport.chats.values()) queued += st.queue.length;
+
+    await ctx.reply(
+      [
+        `Active sessions (last ${Math.round(activeWindowMs / 3600000)}h, this process): ${active}`,
+        `Known users: ${known}`,
+        `Transport queue: ${queued} message(s) across ${transport.chats.size} chat(s)`,
+        `Turn queue (${TURN_POLICY}): ${turnQueue.depth()} turn(s) in flight or pending`,
+        `Scheduled jobs: ${schedulerStore.data.jobs.filter((j) => j.status === 'pending').length} pending`,
+        `Media cache: ${mediaCache.size}/${MEDIA_CACHE_MAX_ENTRIES} entries`,
+        `Uptime: ${Math.round(process.uptime() / 60)} min`,
+      ].join('\n')
+    );
+  })
+);
+
+bot.command(
+  'reset',
+  adminOnly(async (ctx) => {
+    const target = commandArgs(ctx).trim();
+    if (!/^\d+$/.test(target)) {
+      await ctx.reply('Usage: /reset <userId>');
+      return;
     }
-  };
-}
+    await resetVoiceflow(Number(target));
+    await clearUserState(Number(target));
+    console.log(`[admin] ${ctx.from.id} reset user ${target}`);
+    await ctx.reply(`User ${target} reset. Their next message starts a fresh conversation.`);
+  })
+);
 
-bot.start(
-  wrap(async (ctx) => {
-    const userId = ctx.from.id;
-    await resetVoiceflow(userId);
-    const stop = keepTyping(ctx);
-    try {
-      const traces = await launchVoiceflow(ctx, userId);
-      await sendVFToTelegram(ctx, traces);
-      touchSession(userId);
-    } finally {
-      stop();
+bot.command(
+  'broadcast',
+  adminOnly(async (ctx) => {
+    const text = commandArgs(ctx).trim();
+    if (!text) {
+      await ctx.reply('Usage: /broadcast <message>');
+      return;
+    }
+
+    const ids = await knownUserIds();
+    // SmartTransport paces this to Telegram's global and per-chat limits
+    for (const id of ids) {
+      transport.enqueue(id, async () => {
+        await bot.telegram.sendMessage(id, text, { disable_web_page_preview: true });
+      });
     }
+    console.log(`[admin] ${ctx.from.id} broadcast to ${ids.length} user(s)`);
+    await ctx.reply(`Broadcast queued for ${ids.length} user(s).`);
   })
 );
 
-bot.hears(
-  '/start',
-  wrap(async (ctx) => {
-    const userId = ctx.from.id;
-    await resetVoiceflow(userId);
-    const stop = keepTyping(ctx);
+bot.command(
+  'transcript',
+  adminOnly(async (ctx) => {
+    const [target, fmt] = commandArgs(ctx).trim().split(/\s+/);
+    if (!/^-?\d+$/.test(target || '')) {
+      await ctx.reply('Usage: /transcript <userId> [txt|html]');
+      return;
+    }
+    const format = fmt === 'html' ? 'html' : 'txt';
+    const entries = await readTranscript(target);
+    if (!entries.length) {
+      await ctx.reply(TRANSCRIPTS_ENABLED ? `No transcript for ${target}.` : 'Transcripts are disabled (TRANSCRIPTS_ENABLED=false).');
+      return;
+    }
+    const body = renderTranscript(target, entries, format);
+    await ctx.replyWithDocument(
+      { source: Buffer.from(body, 'utf8'), filename: `transcript_${target}.${format}` },
+      { caption: `${entries.length} events` }
+    );
+  })
+);
+
+bot.command(
+  'order',
+  adminOnly(async (ctx) => {
+    const [id, status] = commandArgs(ctx).trim().split(/\s+/);
+    const o = marketplaceOrder(id);
+    if (!o) {
+      await ctx.reply(`Usage: /order <orderId> [${[...ORDER_FLOW, 'cancelled'].join('|')}]`);
+      return;
+    }
+    if (!status) {
+      await ctx.reply(staffOrderText(o), { parse_mode: 'HTML', reply_markup: staffOrderKeyboard(o) });
+      return;
+    }
     try {
-      const traces = await launchVoiceflow(ctx, userId);
-      await sendVFToTelegram(ctx, traces);
-      touchSession(userId);
-    } finally {
-      stop();
+      await setOrderStatus(o, status, { by: ctx.from.first_name || String(ctx.from.id) });
+      await ctx.reply(`${o.id} → ${o.status}. The guest has been notified.`);
+    } catch (e) {
+      await ctx.reply(e.message);
+    }
+  })
+);
+
+bot.command(
+  'schedule',
+  adminOnly(async (ctx) => {
+    const args = commandArgs(ctx).trim();
+    const usage = 'Usage: /schedule <userId> <+30m|+2h|+1d|ISO time> <event> [JSON data]\n/schedule cancel <jobId>';
+
+    if (!args) {
+      const pending = schedulerStore.data.jobs.filter((j) => j.status === 'pending').sort((a, b) => a.runAt - b.runAt);
+      const lines = pending
+        .slice(0, 15)
+        .map((j) => `${j.id} · ${new Date(j.runAt).toISOString().slice(0, 16).replace('T', ' ')} · ${j.kind} → ${j.user.id}${j.payload.event ? ` (${j.payload.event})` : ''}`);
+      await ctx.reply([`${pending.length} pending job(s)${SCHEDULER_ENABLED ? '' : ' (scheduler disabled)'}`, ...lines, '', usage].join('\n'));
+      return;
+    }
+
+    const [first, second, event, ...rest] = args.split(/\s+/);
+    if (first === 'cancel') {
+      const job = schedulerStore.data.jobs.find((j) => j.id === second && j.status === 'pending');
+      if (!job) {
+        await ctx.reply(`No pending job ${second || ''}.`);
+        return;
+      }
+      job.status = 'cancelled';
+      await schedulerStore.save();
+      await ctx.reply(`Job ${job.id} cancelled.`);
+      return;
+    }
+
+    const runAt = parseWhen(second);
+    if (!/^\d+$/.test(first) || Number.isNaN(runAt) || !event) {
+      await ctx.reply(usage);
+      return;
+    }
+    let data = {};
+    if (rest.length) {
+      try {
+        data = JSON.parse(rest.join(' '));
+      } catch {
+        await ctx.reply('Event data must be JSON, e.g. {"checkout":"2026-05-02"}');
+        return;
+      }
     }
+    const job = scheduleJob({ kind: 'event', user: { id: first }, runAt, payload: { event, data } });
+    console.log(`[admin] ${ctx.from.id} scheduled ${event} for ${first} (${job.id})`);
+    await ctx.reply(`Job ${job.id}: "${event}" for ${first} at ${new Date(runAt).toISOString()}.`);
+  })
+);
+
+bot.command(
+  'flushcache',
+  adminOnly(async (ctx) => {
+    const size = mediaCache.size;
+    mediaCache.clear();
+    saveMediaCacheSoon();
+    console.log(`[admin] ${ctx.from.id} flushed media cache (${size} entries)`);
+    await ctx.reply(`Media cache flushed (${size} entries removed).`);
   })
 );
 
 bot.on(
   'callback_query',
   wrap(async (ctx) => {
-    const userId = ctx.from.id;
+    const userId = sessionKey(ctx);
     let data = ctx.callbackQuery?.data;
 
     await ctx.answerCbQuery().catch(() => { });
-    const stop = keepTyping(ctx);
 
-    if (await maybeAutoResetLaunch(ctx)) {
-      stop();
+    // Order status buttons in the staff orders chat
+    if (typeof data === 'string' && data.startsWith(ORDER_PREFIX)) {
+      const [id, status] = data.slice(ORDER_PREFIX.length).split(':');
+      const o = marketplaceOrder(id);
+      const staff = isAdmin(ctx) || (MARKETPLACE_ORDERS_CHAT_ID && String(ctx.chat?.id) === String(MARKETPLACE_ORDERS_CHAT_ID));
+      if (!o || !staff) return;
+      try {
+        await setOrderStatus(o, status, { by: ctx.from.first_name || String(ctx.from.id) });
+        await ctx.editMessageReplyMarkup(undefined).catch(() => { });
+      } catch (e) {
+        console.warn('[marketplace]', e?.message || e);
+      }
       return;
     }
 
-    if (typeof data === 'string' && data.startsWith(CALLBACK_PREFIX)) data = stashTake(data, userId) ?? '';
+    // Rating buttons on a follow-up prompt: thank the guest, then let Voiceflow see the score
+    if (typeof data === 'string' && data.startsWith(RATE_PREFIX)) {
+      const [kind, ref, score] = data.slice(RATE_PREFIX.length).split(':');
+      const rating = Number(score);
+      if (!(rating >= 1 && rating <= 5)) return;
+      await ctx.editMessageReplyMarkup(undefined).catch(() => { });
+      await ctx.reply(tr(ctx, 'followup.thanks'));
+      console.log(`[scheduler] ${kind} ${ref} rated ${rating} by ${ctx.from.id}`);
+      await runTurn(ctx, {
+        kind: 'rating',
+        keepAfterReset: true,
+        interact: () =>
+          sendRequestToVoiceflow(ctx, userId, webAppDataToVoiceflowRequest({ event: 'satisfaction_rating', data: { kind, ref, rating } })),
+      });
+      return;
+    }
 
-    if (typeof data === 'string' && data.startsWith(REQUEST_PREFIX)) {
-      try {
-        const req = JSON.parse(data.slice(REQUEST_PREFIX.length));
-        const traces = await sendRequestToVoiceflow(ctx, userId, req);
-        await sendVFToTelegram(ctx, traces);
-        touchSession(userId);
-        stop();
+    // Spa cancellation from /mybookings: ask (with any late fee), then cancel or keep
+    if (typeof data === 'string' && data.startsWith(SPA_PREFIX)) {
+      const [step, id] = data.slice(SPA_PREFIX.length).split(':');
+      const b = spaStore.data.bookings.find((x) => x.id === id && String(x.userId) === String(ctx.from.id));
+      if (!b || b.status !== 'confirmed' || b.startMs <= Date.now()) {
+        await ctx.reply(tr(ctx, 'spa.cancel_unavailable'));
         return;
-      } catch { }
+      }
+      if (step === 'ask') {
+        const fee = spaCancellationFee(b);
+        const lines = [tr(ctx, 'spa.cancel_confirm', { service: esc(b.serviceName), when: esc(spaWhen(b)) })];
+        if (fee) lines.push(tr(ctx, 'spa.cancel_fee', { fee: esc(formatMoney(ctx, fee, b.currency)) }));
+        await ctx.reply(lines.join('\n'), {
+          parse_mode: 'HTML',
+          reply_markup: {
+            inline_keyboard: [
+              [
+                { text: tr(ctx, 'spa.cancel_yes'), callback_data: `${SPA_PREFIX}yes:${b.id}` },
+                { text: tr(ctx, 'spa.cancel_keep'), callback_data: `${SPA_PREFIX}keep:${b.id}` },
+              ],
+            ],
+          },
+        });
+        return;
+      }
+      await ctx.editMessageReplyMarkup(undefined).catch(() => { });
+      if (step === 'yes') await cancelSpaBooking(b, { by: ctx.from.id });
+      return;
+    }
+
+    // Language picker buttons are handled locally, never forwarded to Voiceflow
+    if (typeof data === 'string' && data.startsWith(LANG_PREFIX)) {
+      const locale = normalizeLocale(data.slice(LANG_PREFIX.length));
+      if (locale) {
+        localeByUser.set(ctx.from.id, locale);
+        await ctx.reply(tr(ctx, 'language.set'));
+      }
+      return;
     }
 
-    if (typeof data === 'string' && data.trim().startsWith('{')) {
+    if (typeof data === 'string' && data.startsWith(CALLBACK_PREFIX)) data = (await stashTake(data, userId)) ?? '';
+
+    // A button carries a stored VF request (RQ:), a raw action object, or plain text
+    let request = null;
+    if (typeof data === 'string' && data.startsWith(REQUEST_PREFIX)) {
+      try {
+        request = JSON.parse(data.slice(REQUEST_PREFIX.length));
+      } catch { }
+    } else if (typeof data === 'string' && data.trim().startsWith('{')) {
       try {
         const obj = JSON.parse(data);
-        if (obj && typeof obj === 'object' && obj.type) {
-          const traces = await sendRequestToVoiceflow(ctx, userId, obj);
-          await sendVFToTelegram(ctx, traces);
-          touchSession(userId);
-          stop();
-          return;
-        }
+        if (obj && typeof obj === 'object' && obj.type) request = obj;
       } catch { }
     }
 
     if (typeof data !== 'string') data = String(data ?? '');
-    try {
-      const traces = await interactVoiceflow(ctx, userId, data);
-      await sendVFToTelegram(ctx, traces);
-      touchSession(userId);
-    } finally {
-      stop();
-    }
+    await runTurn(ctx, {
+      kind: 'button',
+      droppable: true,
+      interact: () => (request ? sendRequestToVoiceflow(ctx, userId, request) : interactVoiceflow(ctx, userId, data)),
+    });
   })
 );
 
 bot.on(
   'voice',
   wrap(async (ctx) => {
-    const userId = ctx.from.id;
+    const userId = sessionKey(ctx);
     const voice = ctx.message.voice;
 
     if (!openai) {
-      return await ctx.reply('Voice messages are not supported (OpenAI STT not configured).');
+      return await ctx.reply(tr(ctx, 'voice.unsupported'));
     }
 
     const stop = keepTyping(ctx);
-
-    if (await maybeAutoResetLaunch(ctx)) {
-      stop();
-      return;
-    }
+    let text = '';
 
     try {
       console.log(`[stt] processing voice from ${userId}, file_id: ${voice.file_id} `);
@@ -2234,59 +6835,236 @@ bot.on(
         }
       });
 
-      const text = sttRes.data.text;
+      text = sttRes.data.text;
       console.log(`[stt] success: "${text}"`);
 
 
       if (!text || !text.trim()) {
-        await ctx.reply("Sorry, I couldn't hear what you said. Could you try again?");
+        await ctx.reply(tr(ctx, 'voice.empty'));
         return;
       }
 
       // Inform the user what we heard (as requested: "sent as a text")
       await ctx.reply(`<i>"${esc(text)}"</i>`, { parse_mode: 'HTML' });
 
-      const traces = await interactVoiceflow(ctx, userId, text);
-      await sendVFToTelegram(ctx, traces);
-      touchSession(userId);
+      ctx.state.viaVoice = true;
+      recordTranscript(ctx.chat.id, { dir: 'in', kind: 'voice_transcript', from: ctx.from.id, text });
     } catch (err) {
       const errDetail = err?.response?.data?.error?.message || err?.message || String(err);
       console.error('❌ STT error:', errDetail, err?.response?.data || '');
-      await ctx.reply(`Sorry, I had trouble processing your voice message: ${errDetail} `);
+      await ctx.reply(tr(ctx, 'voice.failed', { detail: errDetail }));
+      return;
     } finally {
       stop();
     }
+
+    // Transcription runs outside the turn queue; the transcript then behaves like a typed message
+    await runTurn(ctx, {
+      kind: 'text',
+      text,
+      droppable: true,
+      interact: (merged) => interactVoiceflow(ctx, userId, merged),
+    });
   })
 );
 
 bot.on(
-  'text',
+  'photo',
   wrap(async (ctx) => {
-    const userId = ctx.from.id;
-    const text = ctx.message.text;
-    if (text.trim() === '/start') return;
+    const sizes = ctx.message.photo || [];
+    const best = sizes[sizes.length - 1];
+    if (!best) return;
+    await handleAttachment(ctx, { kind: 'photo', fileId: best.file_id, fileSize: best.file_size, mimeType: 'image/jpeg' });
+  })
+);
 
-    const stop = keepTyping(ctx);
+bot.on(
+  'document',
+  wrap(async (ctx) => {
+    const doc = ctx.message.document;
+    await handleAttachment(ctx, {
+      kind: 'document',
+      fileId: doc.file_id,
+      fileName: doc.file_name,
+      mimeType: doc.mime_type,
+      fileSize: doc.file_size,
+    });
+  })
+);
 
-    if (await maybeAutoResetLaunch(ctx)) {
-      stop();
+bot.on(
+  'contact',
+  wrap(async (ctx) => {
+    const userId = sessionKey(ctx);
+    const c = ctx.message.contact;
+    const data = {
+      phone_number: c.phone_number,
+      first_name: c.first_name,
+      last_name: c.last_name || '',
+      user_id: c.user_id || null,
+      is_own: !!c.user_id && c.user_id === ctx.from.id,
+    };
+    const request = sharedToVoiceflowRequest(ctx, 'contact', data);
+    console.log(`[share] contact from ${userId} → ${request.type}${data.is_own ? '' : ' (not their own)'}`);
+    await runTurn(ctx, {
+      kind: 'share',
+      keepAfterReset: true,
+      interact: () => sendRequestToVoiceflow(ctx, userId, request),
+    });
+  })
+);
+
+bot.on(
+  'location',
+  wrap(async (ctx) => {
+    const userId = sessionKey(ctx);
+    const l = ctx.message.location;
+    const data = {
+      latitude: l.latitude,
+      longitude: l.longitude,
+      horizontal_accuracy: l.horizontal_accuracy ?? null,
+      venue: ctx.message.venue ? { title: ctx.message.venue.title, address: ctx.message.venue.address } : null,
+    };
+    const request = sharedToVoiceflowRequest(ctx, 'location', data);
+    console.log(`[share] location from ${userId} → ${request.type}`);
+    await runTurn(ctx, {
+      kind: 'share',
+      keepAfterReset: true,
+      interact: () => sendRequestToVoiceflow(ctx, userId, request),
+    });
+  })
+);
+
+bot.on(
+  'pre_checkout_query',
+  wrap(async (ctx) => {
+    const q = ctx.preCheckoutQuery;
+    const o = marketplaceOrder(q.invoice_payload);
+    const scale = 10 ** currencyExponent;
+    const ok =
+      o &&
+      o.status === 'awaiting_payment' &&
+      String(o.userId) === String(q.from.id) &&
+      q.currency === o.currency &&
+      q.total_amount === o.items.reduce((sum, it) => sum + Math.round(it.price * it.qty * scale), 0);
+    if (!ok) console.warn(`[marketplace] pre-checkout rejected for ${q.invoice_payload} (${o?.status || 'unknown order'})`);
+    await ctx.answerPreCheckoutQuery(!!ok, ok ? undefined : tr(ctx, 'order.unavailable'));
+  })
+);
+
+bot.on(
+  'successful_payment',
+  wrap(async (ctx) => {
+    const p = ctx.message.successful_payment;
+    const o = marketplaceOrder(p.invoice_payload);
+    if (!o) {
+      console.error(`[marketplace] payment for unknown order ${p.invoice_payload} (${p.telegram_payment_charge_id})`);
+      return;
+    }
+    // Expired or cancelled between pre-checkout and payment
+    if (o.status !== 'awaiting_payment') {
+      await handleLatePayment(ctx, o, p);
       return;
     }
+    o.status = 'placed';
+    o.paidAt = Date.now();
+    o.updatedAt = Date.now();
+    o.chargeId = p.telegram_payment_charge_id;
+    o.providerChargeId = p.provider_payment_charge_id;
+    await marketplaceStore.save();
+    console.log(`[marketplace] ${o.id} paid (${p.total_amount} ${p.currency})`);
+
+    await ctx.reply(tr(ctx, 'order.paid', { id: esc(o.id), total: esc(formatMoney(ctx, o.total)), items: orderItemsText(o) }), {
+      parse_mode: 'HTML',
+    });
+    await orderPlacedTurn(ctx, o);
+    await postOrderToStaff(o);
+  })
+);
 
-    try {
-      const traces = await interactVoiceflow(ctx, userId, text);
-      await sendVFToTelegram(ctx, traces);
-      touchSession(userId);
-    } finally {
-      stop();
+bot.on(
+  'web_app_data',
+  wrap(async (ctx) => {
+    const userId = sessionKey(ctx);
+    const raw = ctx.message?.web_app_data?.data;
+    const parsed = parseWebAppData(raw);
+
+    if (parsed.error) {
+      console.warn(`[web_app_data] rejected payload from ${userId}: ${parsed.error}`);
+      await ctx.reply(tr(ctx, 'webapp.invalid'));
+      return;
+    }
+
+    console.log(`[web_app_data] ${parsed.type} from ${userId}`);
+    await runTurn(ctx, {
+      kind: 'web_app_data',
+      // Unlike text, a booking must not be dropped when the session was just relaunched
+      keepAfterReset: true,
+      interact: () => sendRequestToVoiceflow(ctx, userId, webAppDataToVoiceflowRequest(parsed)),
+    });
+  })
+);
+
+bot.on(
+  'text',
+  wrap(async (ctx) => {
+    const userId = sessionKey(ctx);
+    const text = ctx.state.text ?? ctx.message.text; // group mode strips the @mention
+    if (text.trim() === '/start') return;
+
+    // A tap on a reply keyboard button goes out as that button's request, like an inline button
+    const tap = replyKeyboardTap(userId, text);
+    if (tap) {
+      await runTurn(ctx, {
+        kind: 'button',
+        droppable: true,
+        interact: () => (tap.request ? sendRequestToVoiceflow(ctx, userId, tap.request) : interactVoiceflow(ctx, userId, tap.text || tap.label)),
+      });
+      return;
     }
+
+    await runTurn(ctx, {
+      kind: 'text',
+      text,
+      droppable: true,
+      interact: (merged) => interactVoiceflow(ctx, userId, merged),
+    });
   })
 );
 
+// =====================
+// Webhook
+// =====================
+// Telegram only accepts [A-Za-z0-9_-] secrets; derive a stable one from the token if none is configured
+const webhookSecret = WEBHOOK_SECRET || createHmac('sha256', TELEGRAM_BOT_TOKEN).update('webhook').digest('hex');
+const inflightUpdates = new Set();
+
+function hasValidWebhookSecret(req) {
+  const got = Buffer.from(String(req.headers['x-telegram-bot-api-secret-token'] || ''));
+  const want = Buffer.from(webhookSecret);
+  return got.length === want.length && timingSafeEqual(got, want);
+}
+
+if (BOT_MODE === 'webhook') {
+  httpRoute('POST', WEBHOOK_PATH, async (req, update) => {
+    if (!hasValidWebhookSecret(req)) throw new HttpError(401, 'invalid secret token');
+    if (!update?.update_id) throw new HttpError(400, 'not an update');
+
+    const job = bot.handleUpdate(update).catch((err) => console.error('❌ Webhook update failed:', err?.stack || err));
+    inflightUpdates.add(job);
+    job.finally(() => inflightUpdates.delete(job));
+
+    // Long-running hosts ack right away so slow VF turns don't trigger Telegram redelivery
+    if (WEBHOOK_AWAIT_UPDATES) await job;
+    return {};
+  });
+}
+
 // =====================
 // START
 // =====================
 async function startBot(retries = 5) {
+  if (BOT_MODE === 'webhook') return startWebhook(retries);
   try {
     await bot.launch({ polling: { timeout: 60 } });
     console.log('✅ Telegram ↔ Voiceflow bridge running (STREAMING)');
@@ -2300,18 +7078,72 @@ async function startBot(retries = 5) {
   }
 }
 
-startBot();
+async function startWebhook(retries = 5) {
+  try {
+    bot.botInfo ??= await bot.telegram.getMe();
+    await bot.telegram.setWebhook(`${WEBHOOK_URL}${WEBHOOK_PATH}`, { secret_token: webhookSecret });
+    console.log(`✅ Telegram ↔ Voiceflow bridge running (WEBHOOK ${WEBHOOK_URL}${WEBHOOK_PATH})`);
+  } catch (err) {
+    if (retries > 0) {
+      console.warn(`⚠️ setWebhook failed (${err?.message}). Retrying in 5s... (${retries} left)`);
+      setTimeout(() => startWebhook(retries - 1), 5000);
+    } else {
+      console.error('❌ Failed to register webhook:', err);
+    }
+  }
+}
+
+function startHttpServer() {
+  if (!HTTP_PORT) return;
+  httpServer.listen(HTTP_PORT, () => console.log(`✅ HTTP API listening on :${HTTP_PORT}`));
+  httpServer.on('error', (err) => console.error('❌ HTTP server error:', err?.message || err));
+}
+
+if (IS_MAIN) {
+  startHttpServer();
+  startBot();
+  startScheduler();
+}
 
 bot.catch((err, ctx) => {
   console.error('❌ Telegraf caught error for update:', JSON.stringify(ctx.update || {}));
   console.error(err?.stack || err);
 });
 
-process.on('unhandledRejection', (reason) => {
-  console.error('UNHANDLED REJECTION:', reason);
-});
-process.on('uncaughtException', (err) => {
-  console.error('UNCAUGHT EXCEPTION:', err?.stack || err);
-});
-process.once('SIGINT', () => bot.stop('SIGINT'));
-process.once('SIGTERM', () => bot.stop('SIGTERM'));
+if (IS_MAIN) {
+  process.on('unhandledRejection', (reason) => {
+    console.error('UNHANDLED REJECTION:', reason);
+  });
+  process.on('uncaughtException', (err) => {
+    console.error('UNCAUGHT EXCEPTION:', err?.stack || err);
+  });
+}
+// Stop taking new work, let in-flight updates finish (bounded), then persist state
+async function shutdown(signal) {
+  console.log(`[system] ${signal} received, shutting down...`);
+  httpServer.close();
+  stopScheduler();
+  if (BOT_MODE !== 'webhook') {
+    try {
+      bot.stop(signal);
+    } catch { }
+  }
+  if (inflightUpdates.size) {
+    await Promise.race([Promise.allSettled([...inflightUpdates]), new Promise((r) => setTimeout(r, 10_000))]);
+  }
+  await flushPersistentMaps().catch(() => { });
+  await flushDataFiles();
+  flushTranscriptEdits();
+  await Promise.allSettled([...transcriptWrites.values()]);
+  await stateStore.close();
+}
+
+if (IS_MAIN) {
+  process.once('SIGINT', () => shutdown('SIGINT'));
+  process.once('SIGTERM', () => shutdown('SIGTERM'));
+}
+
+// =====================
+// Test hooks (see test/)
+// =====================
+export { MemoryStateStore, RedisStateStore, PersistentMap, registerTtsProvider, sendVoiceReply, TurnQueue, spaStore, spaService, spaAssignment, viaTransport, streamVoiceflowInteraction, completionSendOrUpdate, completionStateByUser, mdToHtml, transcriptMiddleware, readTranscript, transcriptLines, privateChatContext, splitTelegramHtml, safeReplyHtml, findMarkdownCut, fileProxyUrl, checkFileProxyLink };
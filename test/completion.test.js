@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBridge } from './helpers.js';
+
+const { completionSendOrUpdate, completionStateByUser, mdToHtml } = await loadBridge();
+
+const TG_TEXT_LIMIT = 4096;
+
+// Keeps the latest text of every message, as the guest would see it once the stream settles
+function fakeStreamCtx(id) {
+  const messages = [];
+  const sent = (text) => {
+    messages.push(text);
+    return { message_id: messages.length, chat: { id } };
+  };
+  return {
+    from: { id, language_code: 'en' },
+    chat: { id, type: 'private' },
+    messages,
+    async reply(text) {
+      return sent(text);
+    },
+    telegram: {
+      async editMessageText(chatId, messageId, _inline, text) {
+        messages[messageId - 1] = text;
+        return true;
+      },
+    },
+  };
+}
+
+const plain = (html) => html.replace(/<[^>]+>/g, '').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+const words = (text) => text.split(/\s+/).filter(Boolean);
+
+async function streamInSteps(userId, text, step) {
+  const ctx = fakeStreamCtx(userId);
+  for (let end = step; end < text.length; end += step) {
+    await completionSendOrUpdate(ctx, userId, text.slice(0, end));
+  }
+  await completionSendOrUpdate(ctx, userId, text, { force: true });
+  clearTimeout(completionStateByUser.get(userId)?.timer);
+  return ctx.messages;
+}
+
+const filler = (n) => Array.from({ length: n }, (_, i) => `Sentence number ${i} fills the answer.`).join(' ');
+
+test('a bold span closing past the limit is neither duplicated nor dropped', async () => {
+  const text = `${filler(75)} **${'Go on. '.repeat(300)}done** and the answer goes on. ${filler(20)}`;
+  const messages = await streamInSteps(101, text, 37);
+
+  assert.ok(messages.length >= 2, 'split into several messages');
+  for (const m of messages) {
+    assert.ok(m.length <= TG_TEXT_LIMIT);
+    assert.ok(!m.includes('**'), 'markers render as tags, not literally');
+  }
+  assert.deepEqual(words(messages.map(plain).join(' ')), words(plain(mdToHtml(text))));
+});
+
+test('a code fence closing past the limit stays in one message', async () => {
+  // Blank lines inside the block look like paragraph breaks to an HTML-level splitter
+  const code = Array.from({ length: 60 }, (_, i) => `const value${i} = compute(${i});${i % 10 === 9 ? '\n' : ''}`).join('\n');
+  const text = `${filler(100)}\n\n\`\`\`js\n${code}\n\`\`\`\n\nThat is all. ${filler(10)}`;
+  const messages = await streamInSteps(102, text, 53);
+
+  assert.ok(messages.length >= 2, 'split into several messages');
+  for (const m of messages) {
+    assert.ok(m.length <= TG_TEXT_LIMIT);
+    assert.ok(!m.includes('```'), 'fences render as code blocks, not literally');
+  }
+  assert.equal(messages.filter((m) => m.includes('value0 =')).length, 1);
+  assert.ok(messages.find((m) => m.includes('value0 =')).includes('value59 ='));
+  assert.deepEqual(words(messages.map(plain).join(' ')), words(plain(mdToHtml(text))));
+});
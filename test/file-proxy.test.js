@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBridge } from './helpers.js';
+
+const { fileProxyUrl, checkFileProxyLink } = await loadBridge({
+  PUBLIC_BASE_URL: 'https://bridge.example',
+  HTTP_PORT: '8080',
+  FILE_LINK_TTL_SECONDS: '600',
+});
+
+const query = (url) => new URL(url).searchParams;
+
+test('a fresh link is valid for FILE_LINK_TTL_SECONDS', () => {
+  const url = fileProxyUrl('AgAC-file');
+  assert.ok(url.startsWith('https://bridge.example/api/file?id=AgAC-file&exp='));
+  const ttl = checkFileProxyLink(query(url));
+  assert.ok(ttl > 590 && ttl <= 600);
+});
+
+test('the expiry is signed: extending it or swapping the file breaks the link', () => {
+  const qp = query(fileProxyUrl('AgAC-file'));
+  const later = new URLSearchParams(qp);
+  later.set('exp', String(Number(qp.get('exp')) + 3600));
+  assert.throws(() => checkFileProxyLink(later), { status: 403, message: 'invalid signature' });
+  const other = new URLSearchParams(qp);
+  other.set('id', 'AgAC-other');
+  assert.throws(() => checkFileProxyLink(other), { status: 403 });
+});
+
+test('an expired link is refused', (t) => {
+  const qp = query(fileProxyUrl('AgAC-file'));
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 601 * 1000 });
+  assert.throws(() => checkFileProxyLink(qp), { status: 403, message: 'link expired' });
+});
+
+test('links signed without an expiry no longer work', () => {
+  const qp = query(fileProxyUrl('AgAC-file'));
+  qp.delete('exp');
+  assert.throws(() => checkFileProxyLink(qp), { status: 403 });
+});
@@ -0,0 +1,67 @@
+// Loads the bridge as a module with throwaway env: nothing is launched, data goes to a temp dir.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vftg-test-'));
+process.on('exit', () => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+const TEST_ENV = {
+  DOTENV_PATH: path.join(tmpDir, 'none.env'),
+  TELEGRAM_BOT_TOKEN: '123456:TEST',
+  VF_API_KEY: 'VF.TEST',
+  VF_PROJECT_ID: 'test-project',
+  REDIS_URL: '',
+  HTTP_PORT: '0',
+  BOT_MODE: 'polling',
+  DATA_DIR: path.join(tmpDir, 'data'),
+  MEDIA_CACHE_PATH: path.join(tmpDir, 'media-cache.json'),
+  TRANSCRIPT_DIR: path.join(tmpDir, 'transcripts'),
+  SCHEDULER_ENABLED: 'false',
+};
+
+let bridge = null;
+
+export async function loadBridge(env = {}) {
+  if (bridge) return bridge;
+  Object.assign(process.env, TEST_ENV, env);
+  bridge = await import('../index.js');
+  return bridge;
+}
+
+// In-memory stand-in for a node-redis v4 client (get/set with PX, del, scanIterator, quit)
+export class FakeRedis {
+  constructor() {
+    this.data = new Map(); // key -> { value, expiresAt }
+    this.quitCalled = false;
+  }
+
+  live(key) {
+    const rec = this.data.get(key);
+    if (rec && rec.expiresAt && rec.expiresAt <= Date.now()) this.data.delete(key);
+    return this.data.get(key);
+  }
+
+  async get(key) {
+    return this.live(key)?.value ?? null;
+  }
+
+  async set(key, value, opts) {
+    if (typeof value !== 'string') throw new TypeError('redis values must be strings');
+    this.data.set(key, { value, expiresAt: opts?.PX ? Date.now() + opts.PX : 0 });
+    return 'OK';
+  }
+
+  async del(key) {
+    return this.data.delete(key) ? 1 : 0;
+  }
+
+  async *scanIterator({ MATCH = '*' } = {}) {
+    const prefix = MATCH.replace(/\*$/, '');
+    for (const key of [...this.data.keys()]) if (key.startsWith(prefix) && this.live(key)) yield key;
+  }
+
+  async quit() {
+    this.quitCalled = true;
+  }
+}
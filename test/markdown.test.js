@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBridge } from './helpers.js';
+
+const { mdToHtml } = await loadBridge();
+
+test('closed fences become code blocks with their language, contents escaped', () => {
+  assert.equal(
+    mdToHtml('```js\nif (a < b && c) {}\n```\nafter'),
+    '<pre><code class="language-js">if (a &lt; b &amp;&amp; c) {}</code></pre>\nafter'
+  );
+  assert.equal(mdToHtml('```\n**not bold**\n```'), '<pre>**not bold**</pre>');
+});
+
+test('a fence still streaming runs to the end of the text', () => {
+  assert.equal(mdToHtml("before\n```py\nprint('<x>')"), "before\n<pre><code class=\"language-py\">print('&lt;x&gt;')</code></pre>");
+  assert.equal(mdToHtml('before\n```'), 'before\n', 'a fence that has only just opened shows nothing yet');
+});
+
+test('inline code is escaped and left unformatted', () => {
+  assert.equal(mdToHtml('Use `a < b && c` or `**x**`'), 'Use <code>a &lt; b &amp;&amp; c</code> or <code>**x**</code>');
+});
+
+test('tables become a padded monospace grid', () => {
+  const html = mdToHtml('| Name | Price |\n|---|---:|\n| **Tea** | 3 |\n| Coffee & cake | 12 |');
+  assert.equal(html, ['<pre>Name          │ Price', '──────────────┼──────', 'Tea           │ 3', 'Coffee &amp; cake │ 12</pre>'].join('\n'));
+});
+
+test('nested lists and tasks', () => {
+  assert.equal(
+    mdToHtml('- one\n  - nested\n    - deeper\n1. first\n- [ ] todo\n- [x] done'),
+    '• one\n  ◦ nested\n    ◦ deeper\n1. first\n☐ todo\n☑ done'
+  );
+});
+
+test('quotes longer than MD_QUOTE_EXPAND_LINES collapse', () => {
+  assert.equal(mdToHtml('> short\n> quote'), '<blockquote>short\nquote</blockquote>');
+  assert.equal(mdToHtml('> a\n> b\n> c\n> d\n> e'), '<blockquote expandable>a\nb\nc\nd\ne</blockquote>');
+});
+
+test('overlapping emphasis is re-nested into balanced tags', () => {
+  assert.equal(mdToHtml('**a *b** c*'), '<b>a <i>b</i></b><i> c</i>');
+});
+
+test('unclosed markers stay literal', () => {
+  assert.equal(mdToHtml('**bold without end'), '**bold without end');
+  assert.equal(mdToHtml('a ~~strike and ||spoiler'), 'a ~~strike and ||spoiler');
+  assert.equal(mdToHtml('snake_case_name'), 'snake_case_name');
+});
+
+test('__x__ is underline (Telegram flavour), not bold', () => {
+  assert.equal(
+    mdToHtml('__under__ and _it_ and *it* and ~~s~~ and ||sp||'),
+    '<u>under</u> and <i>it</i> and <i>it</i> and <s>s</s> and <tg-spoiler>sp</tg-spoiler>'
+  );
+});
+
+test('links keep their query string, escaped', () => {
+  assert.equal(mdToHtml('[link](https://e.com/?a=1&b="2") text'), '<a href="https://e.com/?a=1&amp;b=%222%22">link</a> text');
+});
@@ -0,0 +1,46 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBridge } from './helpers.js';
+
+const { spaStore, spaService, spaAssignment } = await loadBridge();
+
+const DATE = '2030-01-15';
+
+function book(serviceId, time, minutes = 60) {
+  const service = spaService(serviceId);
+  const slot = spaAssignment(service, minutes, DATE, time);
+  if (!slot) return null;
+  const b = { id: `T-${spaStore.data.bookings.length}`, status: 'confirmed', serviceId, kind: service.kind, ...slot };
+  spaStore.data.bookings.push(b);
+  return b;
+}
+
+beforeEach(() => {
+  spaStore.data.bookings = [];
+});
+
+test('class sessions get a concrete room id', () => {
+  const b = book('yoga-class', '08:00');
+  assert.equal(b.roomId, 'studio');
+  assert.equal(b.spotsLeft, 12);
+});
+
+test('attendees of one session share its room until it is full', () => {
+  const first = book('yoga-class', '08:00');
+  for (let i = 1; i < 12; i++) assert.equal(book('yoga-class', '08:00').roomId, first.roomId);
+  assert.equal(book('yoga-class', '08:00'), null);
+});
+
+test('an overlapping class in the same room is refused', () => {
+  assert.ok(book('yoga-class', '08:00'));
+  assert.equal(book('pilates-class', '08:30'), null);
+  assert.ok(book('pilates-class', '09:30'));
+});
+
+test('a class and a treatment cannot share a room', () => {
+  assert.ok(book('yoga-class', '08:00'));
+  // A treatment that needs the studio, during the class and after it
+  const treatment = { ...spaService('personal-training'), room: 'studio' };
+  assert.equal(spaAssignment(treatment, 30, DATE, '08:15'), null);
+  assert.equal(spaAssignment(treatment, 30, DATE, '10:00')?.roomId, 'studio');
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBridge } from './helpers.js';
+
+const { splitTelegramHtml, safeReplyHtml, findMarkdownCut, mdToHtml } = await loadBridge();
+
+const LIMIT = 200;
+const plain = (html) => html.replace(/<[^>]+>/g, '');
+// Cuts swallow the whitespace they happen at, so content is compared without it
+const content = (html) => plain(html).replace(/\s+/g, '');
+
+// Every chunk must parse on its own: tags closed in order, no entity cut in half
+function assertWellFormed(chunk, limit = LIMIT) {
+  assert.ok(chunk.length <= limit, `chunk of ${chunk.length} > ${limit}`);
+  const stack = [];
+  for (const [, close, name] of chunk.matchAll(/<(\/?)([a-z][\w-]*)[^>]*>/gi)) {
+    if (!close) stack.push(name);
+    else assert.equal(stack.pop(), name, `</${name}> closes the innermost tag`);
+  }
+  assert.deepEqual(stack, [], 'every tag is closed');
+  assert.ok(!/&(?!#?\w+;)/.test(chunk), 'no broken entity');
+}
+
+function splitChecked(html) {
+  const chunks = splitTelegramHtml(html, LIMIT);
+  assert.ok(chunks.length >= 2, 'long enough to split');
+  chunks.forEach((c) => assertWellFormed(c));
+  assert.equal(content(chunks.join('')), content(html));
+  return chunks;
+}
+
+const prose = (n) => Array.from({ length: n }, (_, i) => `word${i}`).join(' ');
+
+test('a link open across a cut is closed and reopened with its href', () => {
+  const html = `See <a href="https://example.com/?a=1&amp;b=2">${prose(60)}</a> done.`;
+  const chunks = splitChecked(html);
+  assert.ok(chunks[1].startsWith('<a href="https://example.com/?a=1&amp;b=2">'));
+});
+
+test('a code block keeps its language class in every chunk', () => {
+  const code = Array.from({ length: 20 }, (_, i) => `let x${i} = a &lt; b &amp;&amp; c;`).join('\n');
+  const chunks = splitChecked(`<pre><code class="language-js">${code}</code></pre>`);
+  for (const c of chunks) assert.ok(c.startsWith('<pre><code class="language-js">') && c.endsWith('</code></pre>'));
+});
+
+test('an expandable quote stays expandable after the cut', () => {
+  const chunks = splitChecked(`<blockquote expandable>${prose(30)}\n${prose(30)}</blockquote>`);
+  for (const c of chunks) assert.ok(c.startsWith('<blockquote expandable>'));
+});
+
+test('entities at the seam are never cut in half', () => {
+  splitChecked(Array.from({ length: 40 }, () => 'a&amp;b &lt;tag&gt; &#8212;').join(' '));
+  splitChecked('&amp;'.repeat(100));
+});
+
+test('a long reply goes out as several messages with the keyboard on the last one', async () => {
+  const sent = [];
+  const ctx = {
+    async reply(text, extra) {
+      sent.push({ text, extra });
+      return { message_id: sent.length, chat: { id: 1 } };
+    },
+  };
+  const html = Array.from({ length: 300 }, (_, i) => `<b>Item ${i}</b>: <i>${prose(5)}</i> &amp; more.`).join('\n');
+  const keyboard = { inline_keyboard: [[{ text: 'OK', callback_data: 'ok' }]] };
+  const last = await safeReplyHtml(ctx, html, { reply_markup: keyboard });
+
+  assert.ok(sent.length >= 3);
+  sent.forEach(({ text }) => assertWellFormed(text, 4096));
+  assert.deepEqual(sent.map(({ extra }) => extra.reply_markup), [...sent.slice(1).map(() => undefined), keyboard]);
+  assert.ok(sent.every(({ extra }) => extra.parse_mode === 'HTML'));
+  assert.equal(last.message_id, sent.length);
+  assert.equal(content(sent.map((m) => m.text).join('')), content(html));
+});
+
+test('a streaming cut fits once escaped, even with no boundary to use', () => {
+  const text = '&'.repeat(300);
+  const cut = findMarkdownCut(text, LIMIT);
+  assert.ok(cut > 0);
+  assert.ok(mdToHtml(text.slice(0, cut)).length <= LIMIT);
+});
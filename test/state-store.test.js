@@ -0,0 +1,125 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBridge, FakeRedis } from './helpers.js';
+
+const { MemoryStateStore, RedisStateStore, PersistentMap } = await loadBridge();
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+function storeContract(name, makeStore) {
+  describe(name, () => {
+    test('round-trips JSON values per namespace', async () => {
+      const store = makeStore();
+      await store.set('session', '42', { locale: 'es', n: 1, tags: ['a'] });
+      await store.set('stash', '42', 'other');
+      assert.deepEqual(await store.get('session', '42'), { locale: 'es', n: 1, tags: ['a'] });
+      assert.equal(await store.get('stash', '42'), 'other');
+      assert.equal(await store.get('session', 'missing'), undefined);
+    });
+
+    test('deletes keys', async () => {
+      const store = makeStore();
+      await store.set('session', '1', true);
+      await store.delete('session', '1');
+      assert.equal(await store.get('session', '1'), undefined);
+    });
+
+    test('expires values after ttl', async () => {
+      const store = makeStore();
+      await store.set('stash', 'k', 1, 20);
+      await store.set('stash', 'forever', 2);
+      await sleep(40);
+      assert.equal(await store.get('stash', 'k'), undefined);
+      assert.equal(await store.get('stash', 'forever'), 2);
+    });
+
+    test('lists the keys of one namespace', async () => {
+      const store = makeStore();
+      await store.set('session', 'a', 1);
+      await store.set('session', 'b', 2);
+      await store.set('sessions2', 'c', 3);
+      assert.deepEqual((await store.keys('session')).sort(), ['a', 'b']);
+    });
+  });
+}
+
+storeContract('MemoryStateStore', () => new MemoryStateStore());
+storeContract('RedisStateStore (fake client)', () => new RedisStateStore(new FakeRedis(), 'test:'));
+
+describe('RedisStateStore', () => {
+  test('prefixes keys and stores JSON strings', async () => {
+    const client = new FakeRedis();
+    const store = new RedisStateStore(client, 'vftg:');
+    await store.set('session', '7', { a: 1 }, 1000);
+    assert.equal(await client.get('vftg:session:7'), '{"a":1}');
+    assert.ok(client.data.get('vftg:session:7').expiresAt > Date.now());
+  });
+
+  test('treats unparseable values as missing', async () => {
+    const client = new FakeRedis();
+    await client.set('vftg:session:x', '{oops');
+    assert.equal(await new RedisStateStore(client, 'vftg:').get('session', 'x'), undefined);
+  });
+
+  test('close() quits the client', async () => {
+    const client = new FakeRedis();
+    await new RedisStateStore(client).close();
+    assert.ok(client.quitCalled);
+  });
+});
+
+describe('PersistentMap', () => {
+  test('writes through on flush and loads into a fresh process', async () => {
+    const store = new RedisStateStore(new FakeRedis(), 'test:');
+    const opts = {
+      store,
+      serialize: (v) => ({ ...v, seen: [...v.seen] }),
+      deserialize: (v) => ({ ...v, seen: new Set(v.seen) }),
+    };
+    const before = new PersistentMap('completion', opts);
+    before.set('u1', { text: 'hi', seen: new Set(['a', 'b']) });
+    await before.flush();
+
+    const after = new PersistentMap('completion', opts);
+    assert.equal(after.get('u1'), undefined);
+    const loaded = await after.load('u1');
+    assert.equal(loaded.text, 'hi');
+    assert.deepEqual([...loaded.seen], ['a', 'b']);
+    assert.equal(after.get('u1'), loaded);
+  });
+
+  test('coalesces set() calls into one write per key', async () => {
+    const store = new MemoryStateStore();
+    let writes = 0;
+    const set = store.set.bind(store);
+    store.set = (...args) => {
+      writes += 1;
+      return set(...args);
+    };
+    const m = new PersistentMap('lastbot', { store });
+    for (let i = 0; i < 10; i++) m.set('u1', i);
+    await sleep(300);
+    assert.equal(writes, 1);
+    assert.equal(await store.get('lastbot', 'u1'), 9);
+  });
+
+  test('delete() removes the stored value', async () => {
+    const store = new MemoryStateStore();
+    const m = new PersistentMap('stash', { store });
+    m.set('k', 1);
+    await m.flush();
+    m.delete('k');
+    await sleep(0);
+    assert.equal(await store.get('stash', 'k'), undefined);
+    assert.equal(await new PersistentMap('stash', { store }).load('k'), undefined);
+  });
+
+  test('passes its ttl to the store', async () => {
+    const store = new MemoryStateStore();
+    const m = new PersistentMap('stash', { store, ttlMs: 20 });
+    m.set('k', 1);
+    await m.flush();
+    await sleep(40);
+    assert.equal(await store.get('stash', 'k'), undefined);
+  });
+});
@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { loadBridge } from './helpers.js';
+import { fakeChatCtx } from './vf-stub.js';
+
+// A port nobody listens on: every connection is refused before a byte is written
+const closedPort = await new Promise((resolve) => {
+  const server = net.createServer().listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    server.close(() => resolve(port));
+  });
+});
+const { streamVoiceflowInteraction } = await loadBridge({
+  VF_RUNTIME_URL: `http://127.0.0.1:${closedPort}`,
+  VF_STREAM_FALLBACK: 'true',
+});
+
+test('a refused stream falls back to /interact', async (t) => {
+  const warn = t.mock.method(console, 'warn', () => { });
+  // The fallback is refused too, which shows it was tried
+  await assert.rejects(streamVoiceflowInteraction(fakeChatCtx(11), 'refused', { type: 'text', payload: 'hello' }), { code: 'ECONNREFUSED' });
+  assert.ok(warn.mock.calls.some((c) => /could not connect \(ECONNREFUSED\), retrying without streaming/.test(c.arguments.join(' '))));
+});
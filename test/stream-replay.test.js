@@ -0,0 +1,27 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBridge } from './helpers.js';
+import { startVoiceflowStub, fakeChatCtx, INTERACT_TRACES } from './vf-stub.js';
+
+const stub = await startVoiceflowStub();
+const { streamVoiceflowInteraction } = await loadBridge({
+  VF_RUNTIME_URL: stub.url,
+  VF_STREAM_IDLE_TIMEOUT_MS: '200',
+  VF_STREAM_TIMEOUT_MS: '600',
+  VF_STREAM_REPLAY_EMPTY: 'true',
+});
+after(() => stub.close());
+
+test('with VF_STREAM_REPLAY_EMPTY an empty stream falls back to /interact', async () => {
+  const ctx = fakeChatCtx(7);
+  const traces = await streamVoiceflowInteraction(ctx, 'silent', { type: 'text', payload: 'hello' });
+  assert.deepEqual(traces, INTERACT_TRACES);
+  assert.deepEqual(stub.callsFor('silent'), ['stream', 'interact']);
+  assert.deepEqual(ctx.replies, []);
+});
+
+test('traces already received are still never replayed', async () => {
+  const traces = await streamVoiceflowInteraction(fakeChatCtx(8), 'dropped', { type: 'text', payload: 'hello' });
+  assert.equal(traces.length, 1);
+  assert.deepEqual(stub.callsFor('dropped'), ['stream']);
+});
@@ -0,0 +1,82 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBridge } from './helpers.js';
+import { startVoiceflowStub, fakeChatCtx, CUTOFF_TEXT } from './vf-stub.js';
+
+const stub = await startVoiceflowStub();
+const { streamVoiceflowInteraction } = await loadBridge({
+  VF_RUNTIME_URL: stub.url,
+  VF_STREAM_IDLE_TIMEOUT_MS: '200',
+  VF_STREAM_TIMEOUT_MS: '600',
+  VF_STREAM_FALLBACK: 'true',
+  VF_STREAM_REPLAY_EMPTY: 'false',
+  VF_COMPLETION_TO_TELEGRAM: 'true',
+});
+after(() => stub.close());
+
+const messages = (traces) => traces.map((t) => t.payload.message);
+const action = { type: 'text', payload: 'hello' };
+
+test('clean end returns every trace', async () => {
+  const ctx = fakeChatCtx(1);
+  const traces = await streamVoiceflowInteraction(ctx, 'complete', action);
+  assert.deepEqual(messages(traces), ['one', 'two']);
+  assert.deepEqual(stub.callsFor('complete'), ['stream']);
+  assert.deepEqual(ctx.replies, []);
+});
+
+test('idle timeout after some traces keeps the partial turn', async () => {
+  const started = Date.now();
+  const traces = await streamVoiceflowInteraction(fakeChatCtx(2), 'idle', action);
+  assert.deepEqual(messages(traces), ['one']);
+  assert.ok(Date.now() - started < 500, 'gave up after the idle timeout');
+  assert.deepEqual(stub.callsFor('idle'), ['stream']);
+});
+
+test('overall timeout stops a stream that keeps trickling', async () => {
+  const started = Date.now();
+  const traces = await streamVoiceflowInteraction(fakeChatCtx(3), 'slow', action);
+  assert.deepEqual(messages(traces), ['one']);
+  assert.ok(Date.now() - started >= 550, 'idle pings keep it alive until the overall limit');
+  assert.deepEqual(stub.callsFor('slow'), ['stream']);
+});
+
+test('a connection dropped mid-turn is a partial turn, not replayed', async () => {
+  const traces = await streamVoiceflowInteraction(fakeChatCtx(4), 'dropped', action);
+  assert.deepEqual(messages(traces), ['one']);
+  assert.deepEqual(stub.callsFor('dropped'), ['stream']);
+});
+
+test('an accepted stream that stays empty is not replayed', async () => {
+  const ctx = fakeChatCtx(5);
+  const traces = await streamVoiceflowInteraction(ctx, 'silent', action);
+  assert.deepEqual(traces, []);
+  assert.deepEqual(stub.callsFor('silent'), ['stream']);
+  assert.equal(ctx.replies.length, 1, 'the guest is told to try again');
+});
+
+test('a reset after the request was sent is not replayed', async () => {
+  await assert.rejects(streamVoiceflowInteraction(fakeChatCtx(6), 'reset', action), { code: 'ECONNRESET' });
+  assert.deepEqual(stub.callsFor('reset'), ['stream']);
+});
+
+test('waiting for response headers counts against the stream limits', async () => {
+  const ctx = fakeChatCtx(9);
+  const started = Date.now();
+  const traces = await streamVoiceflowInteraction(ctx, 'mute', action);
+  assert.deepEqual(traces, []);
+  assert.ok(Date.now() - started < 500, 'gave up after the idle timeout');
+  assert.deepEqual(stub.callsFor('mute'), ['stream']);
+  assert.equal(ctx.replies.length, 1, 'the guest is told to try again');
+});
+
+test('a completion cut off mid-turn is finalized with everything that arrived', async () => {
+  // Completion state is kept per sessionKey (the sender id), which here must match the stream's user id
+  const ctx = fakeChatCtx('cutoff');
+  const traces = await streamVoiceflowInteraction(ctx, 'cutoff', action);
+  assert.equal(traces.length, 3);
+  assert.deepEqual(stub.callsFor('cutoff'), ['stream']);
+  assert.equal(ctx.replies.length, 1);
+  assert.ok(ctx.replies[0].startsWith(`${CUTOFF_TEXT}…`), ctx.replies[0]);
+  assert.match(ctx.replies[0], /<i>Reply interrupted\./);
+});
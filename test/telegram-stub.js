@@ -0,0 +1,32 @@
+// Local stand-in for the Telegram Bot API: records every call and answers like Telegram would.
+import http from 'http';
+
+export function startTelegramStub() {
+  const calls = [];
+  let nextMessageId = 1;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => (body += c));
+    req.on('end', () => {
+      const method = req.url.split('/').pop();
+      const payload = body ? JSON.parse(body) : {};
+      calls.push({ method, payload });
+
+      const result = /^send/.test(method)
+        ? { message_id: nextMessageId++, date: Math.floor(Date.now() / 1000), chat: { id: payload.chat_id }, text: payload.text }
+        : true;
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, result }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        calls,
+        close: () => new Promise((r) => server.close(r)),
+      });
+    });
+  });
+}
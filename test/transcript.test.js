@@ -0,0 +1,50 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Context, Telegram } from 'telegraf';
+import { loadBridge } from './helpers.js';
+import { startTelegramStub } from './telegram-stub.js';
+
+const api = await startTelegramStub();
+const { transcriptMiddleware, readTranscript } = await loadBridge({ TRANSCRIPTS_ENABLED: 'true' });
+after(() => api.close());
+
+// What bot.handleUpdate does: a fresh Telegram instance per update, never bot.telegram itself
+function updateContext(chatId, text) {
+  const telegram = new Telegram('123456:TEST', { apiRoot: api.url });
+  const update = {
+    update_id: chatId,
+    message: { message_id: 1, date: 0, text, from: { id: chatId, is_bot: false, first_name: 'Guest' }, chat: { id: chatId, type: 'private' } },
+  };
+  return new Context(update, telegram, { id: 1, is_bot: true, username: 'test_bot' });
+}
+
+test('replies made while handling an update land in the transcript', async () => {
+  const ctx = updateContext(501, 'hello');
+  await transcriptMiddleware(ctx, () => ctx.reply('<b>Hi</b> there', { parse_mode: 'HTML' }));
+
+  const entries = await readTranscript(501);
+  assert.deepEqual(entries.map((e) => [e.dir, e.kind, e.text]), [
+    ['in', 'text', 'hello'],
+    ['out', 'text', '<b>Hi</b> there'],
+  ]);
+  assert.equal(api.calls.at(-1).method, 'sendMessage');
+});
+
+test('a streamed bubble is recorded with the text it settled on', async () => {
+  const ctx = updateContext(502, 'tell me more');
+  await transcriptMiddleware(ctx, async () => {
+    const msg = await ctx.reply('Once');
+    for (const text of ['Once upon', 'Once upon a time', 'Once upon a time, the end.']) {
+      await ctx.telegram.editMessageText(ctx.chat.id, msg.message_id, undefined, text);
+    }
+    await ctx.reply('Anything else?');
+  });
+
+  const entries = await readTranscript(502);
+  assert.deepEqual(entries.map((e) => [e.kind, e.text]), [
+    ['text', 'tell me more'],
+    ['text', 'Once'],
+    ['edit', 'Once upon a time, the end.'],
+    ['text', 'Anything else?'],
+  ]);
+});
@@ -0,0 +1,47 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBridge } from './helpers.js';
+import { startTelegramStub } from './telegram-stub.js';
+
+const { viaTransport, privateChatContext } = await loadBridge();
+const api = await startTelegramStub();
+after(() => api.close());
+
+function tooManyRequests() {
+  const err = new Error('429: Too Many Requests');
+  err.response = { error_code: 429, parameters: { retry_after: 0.01 } };
+  return err;
+}
+
+test('a rate-limited send resolves once the transport retries it', async () => {
+  let attempts = 0;
+  const result = await viaTransport('chat-429', async () => {
+    attempts += 1;
+    if (attempts === 1) throw tooManyRequests();
+    return 'sent';
+  });
+  assert.equal(result, 'sent');
+  assert.equal(attempts, 2);
+});
+
+test('other errors reject and are not retried', async () => {
+  let attempts = 0;
+  await assert.rejects(
+    viaTransport('chat-403', async () => {
+      attempts += 1;
+      throw new Error('403: Forbidden: bot was blocked by the user');
+    }),
+    /blocked/
+  );
+  assert.equal(attempts, 1);
+});
+
+test('sends without an incoming update are paced by the transport', async () => {
+  const ctx = await privateChatContext({ id: 777, first_name: 'Guest' });
+  Object.assign(ctx.telegram.options, { apiRoot: api.url, agent: undefined });
+
+  const sentAt = [];
+  await Promise.all(['one', 'two'].map((text) => ctx.reply(text).then(() => sentAt.push(Date.now()))));
+  assert.deepEqual(api.calls.map((c) => c.payload.text), ['one', 'two']);
+  assert.ok(sentAt[1] - sentAt[0] >= 1000, 'the second message waited for the per-chat rate limit');
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBridge } from './helpers.js';
+
+const { registerTtsProvider, sendVoiceReply } = await loadBridge({ TTS_PROVIDER: 'stub', TTS_MODE: 'always', TTS_VOICE: 'test' });
+
+const calls = [];
+registerTtsProvider('stub', {
+  available: () => true,
+  async synthesize(text, { voice }) {
+    calls.push({ text, voice });
+    return Buffer.from(`ogg:${text}`);
+  },
+});
+
+let nextFileId = 0;
+function fakeCtx({ rejectFileIds = false } = {}) {
+  const sent = [];
+  return {
+    from: { id: 1001 },
+    state: {},
+    sent,
+    async replyWithVoice(voice) {
+      sent.push(voice);
+      if (typeof voice === 'string' && rejectFileIds) throw new Error('Bad Request: wrong file identifier');
+      return { voice: { file_id: typeof voice === 'string' ? voice : `file-${++nextFileId}` } };
+    },
+  };
+}
+
+test('synthesizes once, then replays the cached file_id', async () => {
+  calls.length = 0;
+  const first = fakeCtx();
+  const sent = await sendVoiceReply(first, 'Your table is **ready**.');
+  assert.equal(calls.length, 1);
+  assert.deepEqual(calls[0], { text: 'Your table is ready.', voice: 'test' });
+  assert.ok(Buffer.isBuffer(first.sent[0].source));
+
+  const second = fakeCtx();
+  await sendVoiceReply(second, 'Your table is **ready**.');
+  assert.equal(calls.length, 1, 'cache hit must not synthesize again');
+  assert.deepEqual(second.sent, [sent.voice.file_id]);
+});
+
+test('re-synthesizes when the cached file_id is rejected', async () => {
+  calls.length = 0;
+  await sendVoiceReply(fakeCtx(), 'Spa opens at nine.');
+  assert.equal(calls.length, 1);
+
+  const ctx = fakeCtx({ rejectFileIds: true });
+  const msg = await sendVoiceReply(ctx, 'Spa opens at nine.');
+  assert.equal(calls.length, 2);
+  assert.equal(typeof ctx.sent[0], 'string');
+  assert.ok(Buffer.isBuffer(ctx.sent[1].source));
+  assert.match(msg.voice.file_id, /^file-/);
+});
+
+test('different text gets its own synthesis', async () => {
+  calls.length = 0;
+  await sendVoiceReply(fakeCtx(), 'One.');
+  await sendVoiceReply(fakeCtx(), 'Two.');
+  assert.deepEqual(calls.map((c) => c.text), ['One.', 'Two.']);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBridge } from './helpers.js';
+
+const { TurnQueue } = await loadBridge();
+
+function gate() {
+  let open;
+  const opened = new Promise((r) => (open = r));
+  return { opened, open };
+}
+
+test('drop policy: a droppable turn replaces waiting droppable turns', async () => {
+  const q = new TurnQueue('drop', 5);
+  const ran = [];
+  const first = gate();
+  const running = q.run('u', { kind: 'text', text: 'a', droppable: true, exec: async (t) => (await first.opened, ran.push(t), t) });
+  const stale = q.run('u', { kind: 'text', text: 'b', droppable: true, exec: async (t) => (ran.push(t), t) });
+  const latest = q.run('u', { kind: 'text', text: 'c', droppable: true, exec: async (t) => (ran.push(t), t) });
+  first.open();
+  assert.deepEqual(await Promise.all([running, stale, latest]), ['a', undefined, 'c']);
+  assert.deepEqual(ran, ['a', 'c']);
+});
+
+test('drop policy: a non-droppable turn leaves waiting turns alone', async () => {
+  const q = new TurnQueue('drop', 5);
+  const ran = [];
+  const first = gate();
+  const running = q.run('u', { kind: 'text', text: 'a', droppable: true, exec: async (t) => (await first.opened, ran.push(t), t) });
+  const waiting = q.run('u', { kind: 'text', text: 'b', droppable: true, exec: async (t) => (ran.push(t), t) });
+  const data = q.run('u', { kind: 'web_app_data', droppable: false, exec: async () => (ran.push('web_app_data'), 'web_app_data') });
+  first.open();
+  assert.deepEqual(await Promise.all([running, waiting, data]), ['a', 'b', 'web_app_data']);
+  assert.deepEqual(ran, ['a', 'b', 'web_app_data']);
+});
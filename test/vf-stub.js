@@ -0,0 +1,111 @@
+// Local stand-in for the Voiceflow runtime: each test user id picks an SSE scenario for /interact/stream;
+// the non-streaming /interact endpoint and the variables PATCH just answer.
+import http from 'http';
+
+export const INTERACT_TRACES = [{ type: 'text', payload: { message: 'from /interact' } }];
+
+const sse = (t) => `event: trace\ndata: ${JSON.stringify(t)}\n\n`;
+const trace = (message) => sse({ type: 'text', payload: { message } });
+const completion = (state, content) => sse({ type: 'completion', payload: { state, content } });
+
+export const CUTOFF_TEXT = 'Here is the first part of the answer, and then';
+
+const SCENARIOS = {
+  // Two traces, then Voiceflow's end event
+  complete(req, res) {
+    res.write(trace('one'));
+    res.end(trace('two') + 'event: end\ndata: {}\n\n');
+  },
+  // Silent after the first trace
+  idle(req, res) {
+    res.write(trace('one'));
+  },
+  // Accepted, but nothing at all arrives
+  silent() { },
+  // Keeps the connection busy with comments but never finishes
+  slow(req, res) {
+    res.write(trace('one'));
+    const t = setInterval(() => res.write(': keep-alive\n\n'), 50);
+    res.on('close', () => clearInterval(t));
+  },
+  // Connection lost mid-turn
+  dropped(req, res) {
+    res.write(trace('one'));
+    setTimeout(() => req.socket.destroy(), 50);
+  },
+  // A streamed completion that breaks off mid-sentence
+  cutoff(req, res) {
+    res.write(completion('start') + completion('content', CUTOFF_TEXT.slice(0, 20)));
+    setTimeout(() => res.write(completion('content', CUTOFF_TEXT.slice(20))), 20);
+    setTimeout(() => req.socket.destroy(), 80);
+  },
+  // Request read, then the connection is reset before any response headers
+  reset(req) {
+    req.socket.destroy();
+  },
+  // Request read, never answered (no headers at all)
+  mute() { },
+};
+
+// Responds before headers are written
+const NO_HEADERS = new Set([SCENARIOS.reset, SCENARIOS.mute]);
+
+export function startVoiceflowStub() {
+  const calls = [];
+  const server = http.createServer((req, res) => {
+    const user = /telegram_([^/?]+)/.exec(req.url)?.[1] || '';
+    const kind = req.url.includes('/interact/stream') ? 'stream' : req.url.endsWith('/interact') ? 'interact' : 'other';
+    calls.push({ user, kind, method: req.method });
+    req.resume();
+
+    if (kind === 'interact') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(INTERACT_TRACES));
+      return;
+    }
+    if (kind !== 'stream') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{}');
+      return;
+    }
+    const scenario = SCENARIOS[user.replace(/\d+$/, '')];
+    if (NO_HEADERS.has(scenario)) return scenario(req, res);
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.flushHeaders();
+    scenario(req, res);
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        calls,
+        callsFor: (user) => calls.filter((c) => c.user === user).map((c) => c.kind).filter((k) => k !== 'other'),
+        close: () => {
+          server.closeAllConnections();
+          server.close();
+        },
+      });
+    });
+  });
+}
+
+// replies holds the latest text of every message sent, edits included
+export function fakeChatCtx(id) {
+  const replies = [];
+  return {
+    from: { id, language_code: 'en' },
+    chat: { id, type: 'private' },
+    replies,
+    async reply(text) {
+      replies.push(text);
+      return { message_id: replies.length, chat: { id } };
+    },
+    telegram: {
+      async editMessageText(chatId, messageId, _inline, text) {
+        replies[messageId - 1] = text;
+        return true;
+      },
+    },
+  };
+}